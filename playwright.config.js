@@ -1,4 +1,9 @@
+import { startRun } from './test-plans/lib/results.js';
+
+// One run id shared by every worker of this invocation (failures.jsonl)
+startRun();
+
 export default {
   testDir: './test-plans/playwright',
   testMatch: ['**/*.spec.js', '**/*.test.js'],
-};
\ No newline at end of file
+};
@@ -0,0 +1,58 @@
+// ============================================================
+// SELECTORS SHARED BY ALL CCAS FLOWS
+// ============================================================
+// XPath selectors are used through `xpath=` locators, everything else is CSS.
+
+export const LOGIN_ACCESSORS = {
+  username: '#username',
+  password: '#password',
+  form: '#login_form',
+  formSubmitBtn: '#Login',
+  appLauncher: '.appLauncher button, one-app-launcher-header',
+  appLauncherSearch: 'input[placeholder="Search apps and items..."], input[placeholder="Search apps or items..."], input[placeholder="Search apps..."]',
+  appLauncherTile: 'a[class="appTileTitle"] mark, [class="appTileTitleNoDesc"] mark, one-app-launcher-menu-item lightning-formatted-rich-text span p',
+  recordingModal: 'lightning-modal',
+  iAgreeButton: 'lightning-button[data-id="agree-button"] button',
+};
+
+export const GATEWAY_ACCESSORS = {
+  advancedButton: '#details-button',
+  proceedLink: '#proceed-link',
+};
+
+export const ACCESSORS = {
+  // Omni-Channel
+  omniChannel: '//div[contains(@class, "oneUtilityBarItem")]/button/span[text()="Omni-Channel"]',
+  omniChannelOnline: '//div[contains(@class, "oneUtilityBarItem")]/button/span[text()="Omni-Channel (Online)"]',
+  statusDropDown: '.oneUtilityBarPanel .slds-dropdown-trigger button',
+  availableForVoice: '//div[contains(@class, "slds-dropdown__item")]//span[text()="Available"]',
+  offlineStatus: '//div[contains(@class, "slds-dropdown__item")]//span[text()="Offline"]',
+
+  // Incoming Call
+  inbox: '//span[contains(text(), "Inbox (1)")]',
+  acceptIncomingMessage: '//button[contains(@title,\'Accept\')]',
+  connectedIcon: '//div[contains(@class,"slds-col slds-m-vertical_xx-small")]//span[text()="Connected"]',
+  muteButton: '//button[contains(@title,\'Mute\')]',
+
+  // Telephony - Outbound
+  telephonyTab: '//div[@class="uiTabBar"]//a[@data-tab-name="embeddedTelephonyTab"]//span[@class="title"]',
+  phoneInput: 'lightning-input.fill-width input[type="tel"]',
+  callButton: 'native_voice-call-controls-container div.slds-p-horizontal_large button[title="Call"]',
+
+  // Messages
+  customerFirstMessage: '//*[contains(@class, "slds-is-relative") and contains(@class, "slds-chat-message__text") and contains(@class, "slds-chat-message__text_inbound")]',
+  agentFirstMessage: '//*[contains(@class, "slds-is-relative") and contains(@class, "slds-chat-message__text") and contains(@class, "slds-chat-message__text_outbound")]',
+  transcriptMessage: '//*[contains(@class, "slds-is-relative") and contains(@class, "slds-chat-message__text") and (contains(@class, "slds-chat-message__text_inbound") or contains(@class, "slds-chat-message__text_outbound"))]',
+
+  // Ending Call
+  closeVC: '//button[contains(@title,\'Close VC-\')]',
+  phoneTab: '//a[contains(@title,\'Phone\')]',
+  endCallButton: '//button[contains(@title,\'End\')]',
+  endCallConfirmButton: '//button[contains(@class, "slds-button_brand") and contains(@class, "saveBtn") and text()="End Call"]',
+
+  // Voice Session ID
+  voiceSessionId: '//div[@data-target-selection-name="sfdc:RecordField.VoiceCall.VendorCallKey"]//span[@class="uiOutputText"]',
+
+  // Overlays that intercept clicks
+  backdrop: '.slds-backdrop_open, .backdrop.slds-backdrop, div[class*="backdrop"]',
+};
@@ -0,0 +1,115 @@
+import { delay } from './browser.js';
+
+// ============================================================
+// OUTBOUND AUDIO PATH VERIFICATION
+// ============================================================
+// Confirms the fake-capture WAV actually reaches the peer connection: an
+// audio sender with a live, unmuted, enabled track, RTP packets going out,
+// and a microphone level above silence. Relies on the peer connection
+// registry and getStats() samples of WebRTCStatsCollector.
+
+// Runs inside each frame: describes the audio senders of open peer connections
+function describeAudioSenders() {
+  return (window.__ccasPeerConnections || [])
+    .filter((pc) => pc.connectionState !== 'closed')
+    .map((pc) => ({
+      pcId: pc.__ccasId,
+      connectionState: pc.connectionState,
+      tracks: pc.getSenders()
+        .filter((sender) => sender.track && sender.track.kind === 'audio')
+        .map((sender) => ({
+          label: sender.track.label,
+          readyState: sender.track.readyState,
+          muted: sender.track.muted,
+          enabled: sender.track.enabled,
+        })),
+    }));
+}
+
+export async function inspectAudioSenders(page) {
+  const peerConnections = [];
+  for (const frame of page.frames()) {
+    try {
+      peerConnections.push(...await frame.evaluate(describeAudioSenders));
+    } catch (error) {
+      // Frame detached or not scriptable: skip it
+    }
+  }
+  return peerConnections;
+}
+
+// Checks the sender tracks; returns null when at least one track is usable
+export function checkTracks(peerConnections) {
+  if (!peerConnections.length) {
+    return 'no RTCPeerConnection is open';
+  }
+  const tracks = peerConnections.flatMap((pc) => pc.tracks);
+  if (!tracks.length) {
+    return 'no peer connection has an audio sender track';
+  }
+  if (tracks.some((t) => t.readyState === 'live' && !t.muted && t.enabled)) {
+    return null;
+  }
+  const states = tracks.map((t) => `${t.label || 'audio'}: ${t.readyState}${t.muted ? ', muted' : ''}${t.enabled ? '' : ', disabled'}`);
+  return `outbound audio track is not live and unmuted (${states.join('; ')})`;
+}
+
+// Looks at stats samples taken since `since` for RTP going out and a
+// microphone level at or above `threshold` (0-1). The level is either the
+// instantaneous audioLevel or the RMS level derived from totalAudioEnergy.
+export function checkOutboundLevel(samples, { since, threshold }) {
+  const recent = samples.filter((s) => s.t >= since && s.source);
+  if (recent.length < 2) {
+    return { ok: false, reason: 'no outbound audio stats yet', peakLevel: null };
+  }
+
+  let peakLevel = 0;
+  let packetsSent = 0;
+  const byPc = new Map();
+  for (const sample of recent) {
+    const prev = byPc.get(sample.pcId);
+    byPc.set(sample.pcId, sample);
+    peakLevel = Math.max(peakLevel, sample.source.audioLevel ?? 0);
+    if (!prev) continue;
+
+    packetsSent += Math.max((sample.outbound?.packetsSent ?? 0) - (prev.outbound?.packetsSent ?? 0), 0);
+    const energy = (sample.source.totalAudioEnergy ?? 0) - (prev.source.totalAudioEnergy ?? 0);
+    const duration = (sample.source.totalSamplesDuration ?? 0) - (prev.source.totalSamplesDuration ?? 0);
+    if (energy > 0 && duration > 0) {
+      peakLevel = Math.max(peakLevel, Math.sqrt(energy / duration));
+    }
+  }
+
+  if (packetsSent === 0) {
+    return { ok: false, reason: 'no outbound RTP packets are being sent', peakLevel };
+  }
+  if (peakLevel < threshold) {
+    return { ok: false, reason: `microphone level stayed at or below silence (peak ${peakLevel.toFixed(4)} < ${threshold})`, peakLevel };
+  }
+  return { ok: true, reason: null, peakLevel };
+}
+
+// Polls until both checks pass or timeoutMs elapses; throws with the last
+// reason so the calling step fails with an explanation
+export async function verifyOutboundAudio(page, collector, { timeoutMs = 30000, threshold = 0.01, pollMs = 1000 } = {}) {
+  const since = Date.now();
+  let reason = 'not checked';
+  let peakLevel = null;
+
+  while (Date.now() - since < timeoutMs) {
+    reason = checkTracks(await inspectAudioSenders(page));
+    if (!reason) {
+      const level = checkOutboundLevel(collector.samples, { since, threshold });
+      peakLevel = level.peakLevel;
+      if (level.ok) {
+        return { detectedAfterMs: Date.now() - since, peakLevel };
+      }
+      reason = level.reason;
+    }
+    await delay(pollMs);
+  }
+
+  const error = new Error(`Microphone audio path is silent after ${timeoutMs}ms: ${reason}`);
+  error.peakLevel = peakLevel;
+  throw error;
+}
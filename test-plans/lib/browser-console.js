@@ -0,0 +1,121 @@
+import { appendFileSync } from 'fs';
+import { pid } from 'process';
+import { getResultsPath } from './results.js';
+import { log } from './logger.js';
+
+// ============================================================
+// BROWSER CONSOLE LOG
+// ============================================================
+// Every console message, uncaught page error and failed request of every
+// page in the agent's browser context, one JSON line each in
+// browser-console.jsonl, with no filtering or cap: the Voice SDK's errors are
+// usually the ones that matter and they are rarely the first few lines.
+// `npm run report` counts them by severity and groups repeated messages.
+//
+//   kind     console | pageerror | requestfailed | httperror (status >= 400)
+//   level    the console type (log, info, warning, error, debug...); page
+//            errors and failed requests are error, 4xx responses warning
+
+export const BROWSER_CONSOLE_FILE = 'browser-console.jsonl';
+
+// The URL of the page a request came from; null for Service Worker requests,
+// whose frame() throws instead of returning nothing
+const requestPageUrl = (request) => {
+  if (request.serviceWorker()) return null;
+  try {
+    return request.frame().page()?.url() || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export class BrowserConsoleLog {
+  constructor({ username, script, recentLimit = 200 }) {
+    this.username = username || 'unknown';
+    this.script = script;
+    this.recentLimit = recentLimit;
+    this.recentEntries = [];
+    this.counts = {};
+    this.writeFailed = false;
+  }
+
+  install(context) {
+    context.on('console', (message) => {
+      const location = message.location();
+      this.write({
+        kind: 'console',
+        level: message.type(),
+        text: message.text(),
+        url: location.url || null,
+        line: location.url ? location.lineNumber : null,
+        pageUrl: message.page()?.url() || null,
+      });
+    });
+    context.on('weberror', (webError) => {
+      const error = webError.error();
+      this.write({
+        kind: 'pageerror',
+        level: 'error',
+        text: `${error.name}: ${error.message}`,
+        stack: error.stack,
+        pageUrl: webError.page()?.url() || null,
+      });
+    });
+    context.on('requestfailed', (request) => {
+      this.write({
+        kind: 'requestfailed',
+        level: 'error',
+        text: `${request.method()} ${request.url()} ${request.failure()?.errorText || 'failed'}`,
+        url: request.url(),
+        pageUrl: requestPageUrl(request),
+      });
+    });
+    context.on('response', (response) => {
+      if (response.status() < 400) return;
+      const request = response.request();
+      this.write({
+        kind: 'httperror',
+        level: response.status() >= 500 ? 'error' : 'warning',
+        text: `${request.method()} ${response.url()} ${response.status()} ${response.statusText()}`,
+        url: response.url(),
+        status: response.status(),
+        pageUrl: requestPageUrl(request),
+      });
+    });
+  }
+
+  write(fields) {
+    const entry = {
+      t: new Date().toISOString(),
+      script: this.script,
+      username: this.username,
+      pid,
+      ...fields,
+    };
+    const key = `${entry.kind}:${entry.level}`;
+    this.counts[key] = (this.counts[key] || 0) + 1;
+    this.recentEntries.push(entry);
+    if (this.recentEntries.length > this.recentLimit) this.recentEntries.shift();
+
+    try {
+      appendFileSync(getResultsPath(BROWSER_CONSOLE_FILE, this.username), `${JSON.stringify(entry)}\n`);
+    } catch (writeError) {
+      // Warn once: a console-heavy page would repeat this for every message
+      if (!this.writeFailed) {
+        this.writeFailed = true;
+        log.warn(`Could not write ${BROWSER_CONSOLE_FILE}: ${writeError.message}`);
+      }
+    }
+    return entry;
+  }
+
+  // The last `limit` entries (at most recentLimit), oldest first
+  recent(limit = this.recentLimit) {
+    return this.recentEntries.slice(-limit);
+  }
+
+  // Entries per kind:level, e.g. { 'console:error': 12, 'pageerror:error': 1 }
+  summarize() {
+    return { ...this.counts };
+  }
+}
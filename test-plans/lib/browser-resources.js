@@ -0,0 +1,146 @@
+import { writeFileSync } from 'fs';
+import { getResultsPath } from './results.js';
+import { slope } from './soak.js';
+import { log } from './logger.js';
+
+// ============================================================
+// BROWSER MEMORY AND CPU SAMPLING
+// ============================================================
+// Polls the agent page over the Chrome DevTools Protocol for the whole flow:
+// Performance.getMetrics gives the JS heap, DOM node, event listener and
+// document counts, and the main thread's cumulative task time, from which
+// CPU use per interval is derived.
+//
+// After each call the heap is measured again right after a forced garbage
+// collection, so the samples taken between calls compare retained memory
+// only. Retained heap that grows after every call of a soak run (the VC-
+// tabs being opened and closed) is flagged as a likely leak.
+
+export const BROWSER_RESOURCES_FILE = 'browser-resources.json';
+
+// Performance.getMetrics names kept in each sample
+const METRICS = {
+  JSHeapUsedSize: 'heapUsedBytes',
+  JSHeapTotalSize: 'heapTotalBytes',
+  Nodes: 'domNodes',
+  JSEventListeners: 'listeners',
+  Documents: 'documents',
+  Frames: 'frames',
+  TaskDuration: 'taskSeconds',
+  ScriptDuration: 'scriptSeconds',
+  Timestamp: 'timestamp',
+};
+
+// Fewer post-call samples than this cannot show a trend
+const MIN_CALLS_FOR_TREND = 3;
+
+const round = (value, digits = 1) => (value === null ? null : Number(value.toFixed(digits)));
+const toMB = (bytes) => round(bytes / (1024 * 1024), 2);
+
+// heapGrowth.monotonic: every post-call heap was larger than the one before
+export function checkHeapTrend(callSamples) {
+  if (callSamples.length < MIN_CALLS_FOR_TREND) {
+    return { calls: callSamples.length, monotonic: false, bytesPerCall: null, leakSuspected: false };
+  }
+  const heaps = callSamples.map((sample) => sample.heapUsedBytes);
+  const monotonic = heaps.every((heap, index) => index === 0 || heap > heaps[index - 1]);
+  const bytesPerCall = slope(callSamples.map((sample) => ({ x: sample.call, y: sample.heapUsedBytes })));
+  return {
+    calls: callSamples.length,
+    monotonic,
+    firstMB: toMB(heaps[0]),
+    lastMB: toMB(heaps[heaps.length - 1]),
+    bytesPerCall: round(bytesPerCall, 0),
+    domNodesPerCall: round(slope(callSamples.map((sample) => ({ x: sample.call, y: sample.domNodes }))), 1),
+    listenersPerCall: round(slope(callSamples.map((sample) => ({ x: sample.call, y: sample.listeners }))), 1),
+    leakSuspected: monotonic && bytesPerCall > 0,
+  };
+}
+
+export class BrowserResourceSampler {
+  constructor({ intervalMs = 5000 } = {}) {
+    this.intervalMs = intervalMs;
+    this.samples = [];
+    this.session = null;
+    this.timer = null;
+    this.previous = null;
+  }
+
+  // Opens a CDP session on the page; sampling survives navigations
+  async start(page) {
+    this.session = await page.context().newCDPSession(page);
+    await this.session.send('Performance.enable');
+    await this.sample();
+    this.timer = setInterval(() => {
+      this.sample().catch(() => {
+        // Page busy navigating or closing: skip this tick
+      });
+    }, this.intervalMs);
+  }
+
+  async sample(extra = {}) {
+    if (!this.session) return null;
+    const { metrics } = await this.session.send('Performance.getMetrics');
+    const sample = { t: Date.now(), ...extra };
+    for (const { name, value } of metrics) {
+      if (METRICS[name]) sample[METRICS[name]] = value;
+    }
+    // Main-thread busy time over the interval, as a share of one core
+    if (this.previous && sample.timestamp > this.previous.timestamp) {
+      sample.cpuPercent = round(((sample.taskSeconds - this.previous.taskSeconds) / (sample.timestamp - this.previous.timestamp)) * 100);
+    }
+    this.previous = sample;
+    this.samples.push(sample);
+    return sample;
+  }
+
+  // Call after each call has ended: collects garbage, then takes the sample
+  // the heap trend is computed from
+  async markCall(call) {
+    if (!this.session) return null;
+    try {
+      await this.session.send('HeapProfiler.collectGarbage');
+      return await this.sample({ call, afterGc: true });
+    } catch (error) {
+      log.warn(`⚠️ Could not sample browser resources after call ${call}: ${error.message}`);
+      return null;
+    }
+  }
+
+  summarize() {
+    const callSamples = this.samples.filter((sample) => sample.afterGc);
+    const heaps = this.samples.map((sample) => sample.heapUsedBytes).filter(Number.isFinite);
+    const cpu = this.samples.map((sample) => sample.cpuPercent).filter(Number.isFinite);
+    return {
+      intervalMs: this.intervalMs,
+      samples: this.samples.length,
+      heapPeakMB: heaps.length ? toMB(Math.max(...heaps)) : null,
+      domNodesPeak: this.samples.reduce((max, sample) => Math.max(max, sample.domNodes || 0), 0),
+      cpuPercentAvg: cpu.length ? round(cpu.reduce((sum, value) => sum + value, 0) / cpu.length) : null,
+      cpuPercentMax: cpu.length ? Math.max(...cpu) : null,
+      heapGrowth: checkHeapTrend(callSamples),
+    };
+  }
+
+  // Stops sampling and writes the time series plus the summary; returns the summary
+  async stop(username) {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.session) {
+      await this.session.detach().catch(() => {});
+      this.session = null;
+    }
+    const summary = this.summarize();
+    if (summary.heapGrowth.leakSuspected) {
+      log.warn(`HEAP GROWTH: retained JS heap grew after each of ${summary.heapGrowth.calls} calls (${summary.heapGrowth.firstMB}MB -> ${summary.heapGrowth.lastMB}MB, ~${summary.heapGrowth.bytesPerCall} bytes/call)`);
+    } else {
+      log.info(`Browser resources: heap peak ${summary.heapPeakMB}MB, DOM nodes peak ${summary.domNodesPeak}, CPU avg ${summary.cpuPercentAvg}%`);
+    }
+    try {
+      writeFileSync(getResultsPath(BROWSER_RESOURCES_FILE, username), JSON.stringify({ summary, samples: this.samples }, null, 2));
+    } catch (writeError) {
+      log.warn(`Could not write ${BROWSER_RESOURCES_FILE}: ${writeError.message}`);
+    }
+    return summary;
+  }
+}
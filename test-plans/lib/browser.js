@@ -0,0 +1,69 @@
+import { resolve, isAbsolute } from 'path';
+import { existsSync } from 'fs';
+import { REPO_ROOT } from './results.js';
+import { waitUntil } from './waits.js';
+import { log } from './logger.js';
+
+export const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Request microphone access so the fake-capture stream is live before the
+// Voice SDK needs it. The stream is kept on window so it is not released.
+// waits: the flow's WaitRecorder, if any
+export async function requestMicrophoneStream(page, { waits = null } = {}) {
+  try {
+    await page.evaluate(async () => {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+        window.__testAudioStream = stream;
+      } catch (error) {
+        // Silently handle errors
+      }
+    });
+    await waitUntil('MicrophoneStreamLive', () => page.evaluate(() => Boolean(window.__testAudioStream
+      && window.__testAudioStream.getAudioTracks().some((track) => track.readyState === 'live'))), { capMs: 500, recorder: waits });
+  } catch (preMediaError) {
+    // Silently handle errors
+  }
+}
+
+// ============================================================
+// CONFIGURE CHROME WITH FAKE AUDIO CAPTURE
+// ============================================================
+// Workload files give audioFile relative to the repository root
+export function resolveAudioFilePath(audioFile) {
+  const audioFilePath = isAbsolute(audioFile) ? audioFile : resolve(REPO_ROOT, audioFile);
+
+  if (existsSync(audioFilePath)) {
+    log.info(`✅ Audio file found: ${audioFilePath}`);
+  } else {
+    log.warn(`⚠️ Audio file NOT found: ${audioFilePath}`);
+    log.warn(`⚠️ This may cause issues with fake audio capture!`);
+  }
+  return audioFilePath;
+}
+
+// Options for test.use(): must be applied BEFORE test.describe()
+// Following FPSx pattern: audio capture and permissions configured in test script
+export function fakeAudioBrowserOptions(audioFilePath) {
+  return {
+    // Use system-installed Chrome instead of bundled Chromium
+    channel: 'chrome',
+    headless: true,
+    // Grant permissions for microphone and camera
+    permissions: ['microphone', 'camera'],
+    // Chrome launch options for fake media streams
+    launchOptions: {
+      args: [
+        '--use-fake-ui-for-media-stream',
+        '--use-fake-device-for-media-stream',
+        `--use-file-for-fake-audio-capture=${audioFilePath}`,
+        '--allow-file-access-from-files',
+        '--disable-features=IsolateOrigins,site-per-process',
+        '--no-sandbox',
+        '--disable-web-security',
+        '--enable-experimental-web-platform-features',
+        '--start-maximized',
+      ],
+    },
+  };
+}
@@ -0,0 +1,130 @@
+// ============================================================
+// CALL QUALITY (E-MODEL MOS)
+// ============================================================
+// Estimates an R-factor and MOS from the RTP stats collected by
+// WebRTCStatsCollector, using the simplified ITU-T G.107 E-model:
+//
+//   effective latency = one-way latency + 2 * jitter + 10ms (codec)
+//   R = 93.2 - latency impairment - 2.5 * loss%
+//   MOS = 1 + 0.035R + 7e-6 * R(R - 60)(100 - R)
+//
+// One-way latency is taken as half the round-trip time. Scores are computed
+// for every polling interval and for the whole call. getStats() counters are
+// cumulative over a peer connection's life, so when one connection carries
+// several calls (soak mode) a call is scored on the change since the last
+// sample before it started.
+
+const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+const avg = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+export function computeRFactor({ rttMs = 0, jitterMs = 0, lossPercent = 0 }) {
+  const effectiveLatency = (rttMs || 0) / 2 + (jitterMs || 0) * 2 + 10;
+  const latencyImpairment = effectiveLatency < 160
+    ? effectiveLatency / 40
+    : (effectiveLatency - 120) / 10;
+  const r = 93.2 - latencyImpairment - (lossPercent || 0) * 2.5;
+  return Math.min(Math.max(r, 0), 100);
+}
+
+export function rFactorToMos(r) {
+  if (r <= 0) return 1;
+  if (r >= 100) return 4.5;
+  return Math.min(Math.max(1 + 0.035 * r + 0.000007 * r * (r - 60) * (100 - r), 1), 4.5);
+}
+
+export function score(inputs) {
+  const rFactor = computeRFactor(inputs);
+  return {
+    rFactor: round(rFactor, 1),
+    mos: round(rFactorToMos(rFactor), 2),
+    rttMs: round(inputs.rttMs ?? null, 1),
+    jitterMs: round(inputs.jitterMs ?? null, 1),
+    lossPercent: round(inputs.lossPercent ?? null, 2),
+  };
+}
+
+const rttSeconds = (sample) => sample.remoteInbound?.roundTripTime ?? sample.rtt ?? null;
+
+// Scores each pair of consecutive samples of one peer connection; loss is
+// the interval's share of lost packets, jitter/RTT the latest reading
+export function scoreIntervals(samples) {
+  const intervals = [];
+  for (let i = 1; i < samples.length; i++) {
+    const prev = samples[i - 1].inbound;
+    const curr = samples[i].inbound;
+    if (!prev || !curr) continue;
+
+    const received = (curr.packetsReceived ?? 0) - (prev.packetsReceived ?? 0);
+    const lost = Math.max((curr.packetsLost ?? 0) - (prev.packetsLost ?? 0), 0);
+    if (received + lost <= 0) continue; // no media in this interval
+
+    const rtt = rttSeconds(samples[i]);
+    intervals.push({
+      t: new Date(samples[i].t).toISOString(),
+      ...score({
+        rttMs: rtt === null ? 0 : rtt * 1000,
+        jitterMs: (curr.jitter ?? 0) * 1000,
+        lossPercent: (lost / (received + lost)) * 100,
+      }),
+    });
+  }
+  return intervals;
+}
+
+// Whole-call score from the cumulative totals (less those of `baseline`,
+// the last sample before the call) and mean jitter/RTT
+export function scoreCall(samples, baseline = null) {
+  const withInbound = samples.filter((s) => s.inbound);
+  if (!withInbound.length) return null;
+
+  const last = withInbound[withInbound.length - 1].inbound;
+  const before = baseline?.inbound || {};
+  const received = (last.packetsReceived ?? 0) - (before.packetsReceived ?? 0);
+  const lost = Math.max((last.packetsLost ?? 0) - (before.packetsLost ?? 0), 0);
+  if (received + lost <= 0) return null;
+
+  const rtts = withInbound.map(rttSeconds).filter((v) => v !== null);
+  return score({
+    rttMs: rtts.length ? avg(rtts) * 1000 : 0,
+    jitterMs: avg(withInbound.map((s) => (s.inbound.jitter ?? 0) * 1000)),
+    lossPercent: (lost / (received + lost)) * 100,
+  });
+}
+
+// events: WebRTCStatsCollector.events; since: when the call started (only
+// the samples from then on are scored, against the last one before it). The
+// call's score is taken from the peer connection that received the most
+// packets (the media leg).
+export function assessCallQuality(events, { since = null } = {}) {
+  const byPc = new Map();
+  for (const event of events.filter((e) => e.type === 'sample')) {
+    if (!byPc.has(event.pcId)) byPc.set(event.pcId, []);
+    byPc.get(event.pcId).push(event);
+  }
+
+  const peerConnections = [...byPc].map(([pcId, allSamples]) => {
+    const samples = since === null ? allSamples : allSamples.filter((s) => s.t >= since);
+    if (!samples.length) return null;
+    const baseline = since === null ? null : allSamples.filter((s) => s.t < since && s.inbound).pop() || null;
+    const intervals = scoreIntervals(baseline ? [baseline, ...samples] : samples);
+    const mosValues = intervals.map((interval) => interval.mos);
+    return {
+      pcId,
+      packetsReceived: (samples[samples.length - 1].inbound?.packetsReceived ?? 0) - (baseline?.inbound.packetsReceived ?? 0),
+      call: scoreCall(samples, baseline),
+      mosMin: mosValues.length ? Math.min(...mosValues) : null,
+      mosAvg: round(avg(mosValues), 2),
+      intervals,
+    };
+  }).filter(Boolean);
+
+  const primary = peerConnections
+    .filter((pc) => pc.call)
+    .sort((a, b) => b.packetsReceived - a.packetsReceived)[0];
+
+  return {
+    call: primary ? { ...primary.call, mosMin: primary.mosMin, mosAvg: primary.mosAvg } : null,
+    pcId: primary ? primary.pcId : null,
+    peerConnections,
+  };
+}
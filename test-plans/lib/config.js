@@ -0,0 +1,137 @@
+import { parseSla } from './sla.js';
+import { assignUser } from './credentials.js';
+import { loadWorkload, taskDurationMins } from './workload.js';
+import { WORKLOAD_SCHEMA_FILE, argumentSchemas, formatErrors, validate, validateWorkload } from './schema.js';
+import { log } from './logger.js';
+
+// ============================================================
+// WORKLOAD CONFIG
+// ============================================================
+// Wraps a workload-metadata JSON file and exposes one frozen, typed config
+// to every step. The file is checked against test-config/workload.schema.json
+// when the spec loads, before any browser starts; each argument is then
+// resolved once (environment, as FPSx passes it, over the workload file over
+// the schema default). The arguments are those of the script entry matching
+// the running spec, so one workload can list several tasks and scripts (e.g.
+// inbound and outbound agents side by side).
+
+// Finds the { task, script } entry for scriptName, in taskName when given;
+// without a scriptName the first script of the first task is used
+export function selectScript(rawConfig, { scriptName, taskName } = {}) {
+  const tasks = rawConfig.tasks || [];
+  if (!scriptName) {
+    return { task: tasks[0], script: tasks[0]?.scripts?.[0] };
+  }
+  const matches = tasks
+    .filter((task) => !taskName || task.task_name === taskName)
+    .flatMap((task) => (task.scripts || [])
+      .filter((script) => script.script_name === scriptName)
+      .map((script) => ({ task, script })));
+  if (!matches.length) {
+    const listed = tasks.flatMap((task) => (task.scripts || []).map((script) => `${task.task_name}/${script.script_name}`));
+    throw new Error(`Workload has no script "${scriptName}"${taskName ? ` in task "${taskName}"` : ''} (found: ${listed.join(', ') || 'none'})`);
+  }
+  return matches[0];
+}
+
+// The typed value of every argument in the schema: the environment (as FPSx
+// passes it) over the workload's arguments over the schema default. Collects
+// every bad value before throwing, so one run reports them all.
+function resolveSettings(args, env = process.env) {
+  const { properties } = argumentSchemas();
+  const settings = {};
+  const errors = [];
+  for (const [key, schema] of Object.entries(properties)) {
+    if (key === 'sla') continue;
+    const fromEnv = env[key] !== undefined && env[key] !== '';
+    const raw = fromEnv ? env[key] : args[key];
+    if (raw === undefined || raw === null || raw === '') {
+      if (schema.default !== undefined) settings[key] = schema.default;
+      continue;
+    }
+    const result = validate(schema, raw, { path: fromEnv ? `${key} (environment)` : `arguments.${key}` });
+    errors.push(...result.errors);
+    settings[key] = result.value;
+  }
+  if (errors.length) {
+    throw new Error(`Invalid configuration (${errors.length} problem(s)):\n${formatErrors(errors)}`);
+  }
+  return Object.freeze(settings);
+}
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+export function createConfig(rawConfig, { scriptName, taskName, workloadFile = null } = {}) {
+  const workload = validateWorkload(rawConfig, workloadFile || 'workload');
+  const { task, script } = selectScript(workload, { scriptName, taskName });
+  const args = deepFreeze(script?.arguments || {});
+  const usersFile = task?.users_file;
+  const settings = resolveSettings(args);
+  const sla = deepFreeze(parseSla(args));
+
+  // One frozen config; credentials assigned from users_file (`user`) replace
+  // the arguments, not the environment, in a new config of their own
+  const build = ({ user = null } = {}) => {
+    const assigned = user && user.row !== null ? { username: user.username, password: user.password } : {};
+    const get = (key) => {
+      if (!Object.hasOwn(argumentSchemas().properties, key)) {
+        throw new Error(`Unknown config key "${key}": add it to ${WORKLOAD_SCHEMA_FILE}`);
+      }
+      return assigned[key] ?? settings[key];
+    };
+
+    const config = Object.freeze({
+      arguments: args,
+      settings,
+      workloadFile,
+      taskName: task?.task_name,
+      scriptName: script?.script_name,
+      usersFile,
+      maxDurationMins: task ? taskDurationMins(workload, task) : NaN,
+      user,
+      assignUser: (options) => assignWorkerUser(config, options),
+      get,
+      sla,
+      screenshotsEnabled: () => settings.screenshot,
+    });
+    return config;
+  };
+
+  // userAssignment (sequential, random or lease) gives this worker its own
+  // users_file row; index is the Playwright worker slot. Skipped when the
+  // environment already has a username (FPSx assigns users itself). Returns
+  // the worker's config, with the assignment (and its release()) as `user`;
+  // the config it is called on is left as it was.
+  const assignWorkerUser = (config, { index = 0 } = {}) => {
+    const strategy = settings.userAssignment;
+    if (strategy === 'none' || process.env.username) {
+      return build({ user: { username: config.get('username'), row: null, release: () => {} } });
+    }
+    const file = process.env.users_file || usersFile;
+    if (!file) {
+      throw new Error(`userAssignment is "${strategy}" but the workload has no users_file`);
+    }
+    const user = assignUser(file, { strategy, index });
+    log.info(`👤 Assigned ${user.username} (row ${user.row + 1} of ${file}, ${strategy})`);
+    return build({ user: Object.freeze(user) });
+  };
+
+  return build();
+}
+
+// Config for a spec, from the workload chosen at run time: WORKLOAD_FILE
+// (default workload-metadata/<spec name>.json) and optionally WORKLOAD_TASK
+// when the script appears in more than one task
+export function loadConfig(scriptName, {
+  workloadFile = process.env.WORKLOAD_FILE,
+  taskName = process.env.WORKLOAD_TASK,
+} = {}) {
+  const { filePath, workload } = loadWorkload(workloadFile || `workload-metadata/${scriptName.replace(/\.spec\.js$/, '')}.json`);
+  return createConfig(workload, { scriptName, taskName, workloadFile: filePath });
+}
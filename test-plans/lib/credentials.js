@@ -0,0 +1,129 @@
+import { closeSync, existsSync, mkdirSync, openSync, readFileSync, unlinkSync, writeSync } from 'fs';
+import { basename, isAbsolute, resolve } from 'path';
+import { pid } from 'process';
+import { REPO_ROOT, getResultsRoot } from './results.js';
+
+// ============================================================
+// USER ASSIGNMENT FROM THE users_file CSV
+// ============================================================
+// Under FPSx every virtual user gets its own username/password through the
+// environment. Locally the same users_file can be used instead, one row
+// (username,password) per worker or iteration:
+//
+//   sequential  row N for worker/iteration index N (testUserIndex)
+//   random      any row, repeats allowed
+//   lease       the first row no other running process holds; leases are
+//               lock files under <results>/.leases/ and are released when
+//               the test ends (or taken over when their process is gone)
+
+export const USER_ASSIGNMENT_STRATEGIES = ['sequential', 'random', 'lease'];
+
+// users_file names are relative to user-files/ in the workload metadata
+export function resolveUsersFile(usersFile) {
+  if (isAbsolute(usersFile)) return usersFile;
+  const inUserFiles = resolve(REPO_ROOT, 'user-files', usersFile);
+  return existsSync(inUserFiles) ? inUserFiles : resolve(REPO_ROOT, usersFile);
+}
+
+export function loadUsers(usersFile) {
+  const filePath = resolveUsersFile(usersFile);
+  if (!existsSync(filePath)) {
+    throw new Error(`users_file not found: ${filePath}`);
+  }
+  const users = readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [username, password = ''] = line.split(',').map((field) => field.trim());
+      return { username, password };
+    })
+    .filter((user, index) => !(index === 0 && user.username.toLowerCase() === 'username'));
+  if (!users.length) {
+    throw new Error(`users_file ${filePath} has no rows`);
+  }
+  return { filePath, users };
+}
+
+const isRunning = (ownerPid) => {
+  try {
+    process.kill(ownerPid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// Creates the row's lock file atomically; a lock left by a dead process is taken over
+function tryLease(lockPath) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = openSync(lockPath, 'wx');
+      writeSync(fd, String(pid));
+      closeSync(fd);
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const owner = Number(readFileSync(lockPath, 'utf8'));
+      if (owner && isRunning(owner)) return false;
+      try {
+        unlinkSync(lockPath);
+      } catch (unlinkError) {
+        // Another process took it over first
+      }
+    }
+  }
+  return false;
+}
+
+// The sequential index of a Playwright test: its worker slot, moved on by
+// one block of `workers` rows per iteration (--repeat-each and retries), so
+// no row is used twice in a run and no two workers ever share one
+export function testUserIndex({ parallelIndex, repeatEachIndex = 0, retry = 0, config, project }) {
+  const workers = config?.workers || 1;
+  const iteration = repeatEachIndex * ((project?.retries || 0) + 1) + retry;
+  return parallelIndex + iteration * workers;
+}
+
+// Returns { username, password, row, release() }
+export function assignUser(usersFile, { strategy = 'sequential', index = 0 } = {}) {
+  if (!USER_ASSIGNMENT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown userAssignment "${strategy}" (expected one of ${USER_ASSIGNMENT_STRATEGIES.join(', ')})`);
+  }
+  const { filePath, users } = loadUsers(usersFile);
+  const noRelease = () => {};
+
+  if (strategy === 'random') {
+    const row = Math.floor(Math.random() * users.length);
+    return { ...users[row], row, release: noRelease };
+  }
+
+  if (strategy === 'sequential') {
+    if (index >= users.length) {
+      throw new Error(`users_file ${basename(filePath)} has ${users.length} row(s), cannot assign a user to worker/iteration ${index}: add rows or run fewer workers`);
+    }
+    return { ...users[index], row: index, release: noRelease };
+  }
+
+  const leaseDir = resolve(getResultsRoot(), '.leases', basename(filePath));
+  mkdirSync(leaseDir, { recursive: true });
+  for (let row = 0; row < users.length; row++) {
+    const lockPath = resolve(leaseDir, `${row}.lock`);
+    if (tryLease(lockPath)) {
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        process.off('exit', release);
+        try {
+          unlinkSync(lockPath);
+        } catch (error) {
+          // Already gone
+        }
+      };
+      process.on('exit', release);
+      return { ...users[row], row, release };
+    }
+  }
+  throw new Error(`All ${users.length} user(s) in users_file ${basename(filePath)} are leased by running tests: add rows or run fewer workers`);
+}
@@ -0,0 +1,147 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import { getResultsPath } from './results.js';
+import { log } from './logger.js';
+
+// ============================================================
+// FAILURE DIAGNOSTICS BUNDLE
+// ============================================================
+// When a step throws, everything needed to tell why is saved to
+// failures/<step>[-call-N]-<time>/ in the per-user results folder:
+//
+//   screenshot.png      full-page screenshot (taken even with screenshots off)
+//   dom.html            the page's HTML as rendered
+//   accessibility.yaml  the page's accessibility tree (aria snapshot)
+//   console.json        the last browser console messages, page errors and
+//                       failed requests (from the BrowserConsoleLog)
+//   network.json        the last requests, with timing and status
+//   webrtc.json         every peer connection's live state and last events
+//   error.json          step, error, stack, URL, time and failure class
+//
+// Each part is best effort: one that cannot be taken (page closed, frame
+// detached) is listed under `missing` in error.json and the rest is kept.
+// An error is bundled once, so a step that captured it and the flow that
+// catches it again do not write it twice.
+
+export const FAILURES_DIR = 'failures';
+
+// Runs inside each frame: must be self-contained
+function peerConnectionState() {
+  return (window.__ccasPeerConnections || []).map((pc) => ({
+    pcId: pc.__ccasId,
+    connectionState: pc.connectionState,
+    iceConnectionState: pc.iceConnectionState,
+    iceGatheringState: pc.iceGatheringState,
+    signalingState: pc.signalingState,
+    senders: pc.getSenders().map((sender) => sender.track && {
+      kind: sender.track.kind,
+      readyState: sender.track.readyState,
+      enabled: sender.track.enabled,
+      muted: sender.track.muted,
+      label: sender.track.label,
+    }),
+    receivers: pc.getReceivers().map((receiver) => receiver.track && {
+      kind: receiver.track.kind,
+      readyState: receiver.track.readyState,
+      muted: receiver.track.muted,
+    }),
+  }));
+}
+
+const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+const safeName = (name) => String(name).replace(/[^A-Za-z0-9_-]+/g, '_');
+
+export class FailureDiagnostics {
+  constructor({ username, webrtcStats = null, network = null, browserConsole = null, consoleLimit = 200, requestLimit = 50, eventLimit = 50 }) {
+    this.username = username || 'unknown';
+    this.webrtcStats = webrtcStats;
+    this.network = network;
+    this.browserConsole = browserConsole;
+    this.consoleLimit = consoleLimit;
+    this.requestLimit = requestLimit;
+    this.eventLimit = eventLimit;
+    this.captured = new WeakSet();
+    this.bundles = [];
+  }
+
+  async webrtcState(page) {
+    const frames = await Promise.all(page.frames().map((frame) => frame.evaluate(peerConnectionState)
+      .then((peerConnections) => ({ frameUrl: frame.url(), peerConnections }))
+      .catch(() => null)));
+    return {
+      live: frames.filter((frame) => frame && frame.peerConnections.length),
+      summary: this.webrtcStats ? this.webrtcStats.summarize() : null,
+      lastEvents: this.webrtcStats ? this.webrtcStats.events.slice(-this.eventLimit) : [],
+    };
+  }
+
+  // Saves the bundle for `error` thrown by `step`; returns its folder, or
+  // null when this error was already bundled. Never throws.
+  async capture(page, step, error, { iteration = null, failure = null } = {}) {
+    if (error && typeof error === 'object') {
+      if (this.captured.has(error)) return null;
+      this.captured.add(error);
+    }
+
+    const name = `${safeName(step)}${iteration ? `-call-${iteration}` : ''}-${timestamp()}`;
+    let dir;
+    try {
+      dir = getResultsPath(`${FAILURES_DIR}/${name}`, this.username);
+      mkdirSync(dir, { recursive: true });
+    } catch (dirError) {
+      log.warn(`Could not create failure bundle ${name}: ${dirError.message}`);
+      return null;
+    }
+
+    const missing = [];
+    const part = async (file, take) => {
+      try {
+        const content = await take();
+        if (content !== undefined) writeFileSync(`${dir}/${file}`, content);
+      } catch (partError) {
+        missing.push({ file, error: partError.message });
+      }
+    };
+
+    await part('screenshot.png', () => page.screenshot({ path: `${dir}/screenshot.png`, fullPage: true }).then(() => undefined));
+    await part('dom.html', () => page.content());
+    await part('accessibility.yaml', () => page.locator('body').ariaSnapshot({ timeout: 5000 }));
+    await part('console.json', () => JSON.stringify(this.browserConsole ? this.browserConsole.recent(this.consoleLimit) : [], null, 2));
+    await part('network.json', () => JSON.stringify(this.network ? this.network.requests.slice(-this.requestLimit)
+      .map((request) => ({ ...request, startTime: new Date(request.startTime).toISOString() })) : [], null, 2));
+    await part('webrtc.json', async () => JSON.stringify(await this.webrtcState(page), null, 2));
+
+    let url = null;
+    try {
+      url = page.url();
+    } catch (urlError) {
+      // Page already gone
+    }
+    try {
+      writeFileSync(`${dir}/error.json`, JSON.stringify({
+        step,
+        iteration,
+        username: this.username,
+        time: new Date().toISOString(),
+        url,
+        error: error ? error.message || String(error) : null,
+        stack: error?.stack,
+        failureClass: failure?.failureClass,
+        origin: failure?.origin,
+        ui: failure?.ui,
+        missing,
+      }, null, 2));
+    } catch (writeError) {
+      // Disk full or folder gone: the step's own error must still surface
+      log.warn(`Could not write error.json of failure bundle ${name}: ${writeError.message}`);
+    }
+
+    this.bundles.push({ step, iteration, dir, error: error ? error.message || String(error) : null });
+    log.error(`Failure bundle for ${step} saved: ${dir}`);
+    return dir;
+  }
+
+  // Bundles written so far, for summary.json; null when there were none
+  summarize() {
+    return this.bundles.length ? this.bundles : null;
+  }
+}
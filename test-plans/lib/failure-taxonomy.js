@@ -0,0 +1,138 @@
+import { ACCESSORS, GATEWAY_ACCESSORS, LOGIN_ACCESSORS } from './accessors.js';
+import { SlaBreachError } from './sla.js';
+import { TranscriptAccuracyError } from './transcript.js';
+
+// ============================================================
+// FAILURE TAXONOMY
+// ============================================================
+// Every failure is put into one fixed class from the step that threw and
+// what the page showed at that moment, so a run's failures can be counted
+// by cause instead of read one exception at a time. Each class has an
+// origin that separates the two kinds of problem:
+//
+//   platform  the org, telephony, gateway or media did not do its part
+//   script    the flow could not drive a console that was working
+//
+// The SLA and WER assertions at the end of the flow are classed by their
+// error type before the page is looked at: the console is idle by then, and
+// whatever it shows has nothing to do with the failure. Failures that fit no
+// class are `unclassified`.
+
+export const FAILURES_FILE = 'failures.jsonl';
+
+export const FAILURE_CLASSES = {
+  LOGIN_FAILED: { id: 'login-failed', origin: 'platform', description: 'Login form not submitted or console never loaded' },
+  APP_NOT_FOUND: { id: 'app-not-found', origin: 'script', description: 'Console loaded but the app could not be selected' },
+  GATEWAY_CERTIFICATE: { id: 'gateway-certificate-not-bypassed', origin: 'platform', description: 'WebRTC gateway certificate warning still showing' },
+  PRESENCE_CHANGE_FAILED: { id: 'presence-change-failed', origin: 'platform', description: 'Omni-Channel status could not be changed' },
+  CALL_NOT_ROUTED: { id: 'call-not-routed', origin: 'platform', description: 'No call reached the agent (Inbox timeout) or the outbound call never connected' },
+  ACCEPT_FAILED: { id: 'accept-failed', origin: 'script', description: 'Call routed but could not be accepted' },
+  BACKDROP_BLOCKING: { id: 'backdrop-blocking', origin: 'script', description: 'A modal backdrop intercepted the click' },
+  NO_MEDIA: { id: 'no-media', origin: 'platform', description: 'Microphone or call audio not flowing' },
+  END_CALL_FAILED: { id: 'end-call-failed', origin: 'script', description: 'The call could not be ended' },
+  CLOSE_VC_FAILED: { id: 'close-vc-failed', origin: 'script', description: 'Call ended but the VC- tab could not be closed' },
+  // Beyond the taxonomy: the end-of-flow assertions, which fail a run whose
+  // steps all worked, and the catch-all
+  SLA_BREACHED: { id: 'sla-breached', origin: 'platform', description: 'A step exceeded its SLA budget' },
+  TRANSCRIPT_INACCURATE: { id: 'transcript-inaccurate', origin: 'platform', description: 'Transcript WER above transcriptMaxWer' },
+  UNCLASSIFIED: { id: 'unclassified', origin: 'unknown', description: 'Fits no class' },
+};
+
+// Steps that click through the console: a visible backdrop there is the cause
+const CLICK_STEPS = ['OmniChannelSetOnline', 'OmniChannelSetOffline', 'AcceptingIncomingCallTHB', 'MakeOutboundCall', 'EndCall', 'CloseVoiceCallTab'];
+
+// What the page shows right now; every probe is instant and best effort, so
+// a closed page gives an empty state rather than an error
+export async function detectUiState(page, { webrtcStats = null } = {}) {
+  const state = { url: null };
+  const probe = async (name, check) => {
+    try {
+      state[name] = await check();
+    } catch (error) {
+      state[name] = null;
+    }
+  };
+  const visible = (selector) => () => page.locator(selector).first().isVisible();
+  const xpathVisible = (selector) => visible(`xpath=${selector}`);
+  const count = (selector) => () => page.locator(selector).count();
+
+  await probe('url', () => page.url());
+  await probe('loginForm', visible(LOGIN_ACCESSORS.form));
+  await probe('consoleLoaded', async () => (await page.locator('one-app-launcher-header').count()) > 0);
+  await probe('appLauncherOpen', visible(LOGIN_ACCESSORS.appLauncherSearch));
+  await probe('certificateWarning', async () => (await page.locator(`${GATEWAY_ACCESSORS.proceedLink}, ${GATEWAY_ACCESSORS.advancedButton}`).count()) > 0);
+  await probe('backdrops', async () => {
+    const backdrops = await page.locator(ACCESSORS.backdrop).all();
+    const shown = await Promise.all(backdrops.map((backdrop) => backdrop.isVisible().catch(() => false)));
+    return shown.filter(Boolean).length;
+  });
+  await probe('presenceOnline', xpathVisible(ACCESSORS.omniChannelOnline));
+  await probe('inbox', xpathVisible(ACCESSORS.inbox));
+  await probe('acceptButton', xpathVisible(ACCESSORS.acceptIncomingMessage));
+  await probe('callControls', xpathVisible(ACCESSORS.muteButton));
+  await probe('endCallButton', xpathVisible(ACCESSORS.endCallButton));
+  await probe('voiceCallTabs', count(`xpath=${ACCESSORS.closeVC}`));
+  state.media = webrtcStats ? webrtcStats.summarize().status : null;
+  return state;
+}
+
+function classify(step, ui, error) {
+  if (error instanceof SlaBreachError) return FAILURE_CLASSES.SLA_BREACHED;
+  if (error instanceof TranscriptAccuracyError) return FAILURE_CLASSES.TRANSCRIPT_INACCURATE;
+  if (ui.certificateWarning) return FAILURE_CLASSES.GATEWAY_CERTIFICATE;
+  if (ui.backdrops > 0 && CLICK_STEPS.includes(step)) return FAILURE_CLASSES.BACKDROP_BLOCKING;
+
+  switch (step) {
+    case 'Login':
+      // Past the login form once the console shell is there: the app is what is missing
+      return ui.consoleLoaded || ui.appLauncherOpen ? FAILURE_CLASSES.APP_NOT_FOUND : FAILURE_CLASSES.LOGIN_FAILED;
+    case 'OpenWebRTCGateway':
+      return FAILURE_CLASSES.GATEWAY_CERTIFICATE;
+    case 'OmniChannelSetOnline':
+    case 'OmniChannelSetOffline':
+      return FAILURE_CLASSES.PRESENCE_CHANGE_FAILED;
+    case 'AcceptingIncomingCallTHB':
+      // Nothing of the call on screen: it never reached this agent
+      return ui.inbox || ui.acceptButton || ui.callControls || ui.voiceCallTabs > 0
+        ? FAILURE_CLASSES.ACCEPT_FAILED
+        : FAILURE_CLASSES.CALL_NOT_ROUTED;
+    case 'MakeOutboundCall':
+      return ui.media === 'no-media' ? FAILURE_CLASSES.NO_MEDIA : FAILURE_CLASSES.CALL_NOT_ROUTED;
+    case 'EnableMicrophone':
+    case 'OutboundAudioDetected':
+      return FAILURE_CLASSES.NO_MEDIA;
+    case 'EndCall':
+      return FAILURE_CLASSES.END_CALL_FAILED;
+    case 'CloseVoiceCallTab':
+      // Call controls still up: the call itself was never ended
+      return ui.callControls || ui.endCallButton ? FAILURE_CLASSES.END_CALL_FAILED : FAILURE_CLASSES.CLOSE_VC_FAILED;
+    default:
+      return FAILURE_CLASSES.UNCLASSIFIED;
+  }
+}
+
+// { failureClass, origin, step, error, ui } for a failure of `step`
+export function classifyFailure({ step, error, ui = {} }) {
+  const failureClass = classify(step, ui, error);
+  return {
+    failureClass: failureClass.id,
+    origin: failureClass.origin,
+    step,
+    error: error ? error.message || String(error) : null,
+    ui,
+  };
+}
+
+// The failure hook shared by the page steps and the flow's own catch:
+// classifies the failure, records the failed EPT (when startTime is given),
+// saves the diagnostics bundle and appends the failure to failures.jsonl.
+// An error already recorded by the step that threw it is skipped.
+export async function recordFailure(page, step, error, { metrics = null, diagnostics = null, webrtcStats = null, startTime } = {}) {
+  if (metrics && metrics.hasFailure(error)) return null;
+  const failure = classifyFailure({ step, error, ui: await detectUiState(page, { webrtcStats }) });
+  if (metrics && startTime !== undefined) {
+    metrics.record(step, { startTime, outcome: 'failed', error, failureClass: failure.failureClass });
+  }
+  const bundle = diagnostics ? await diagnostics.capture(page, step, error, { iteration: metrics?.iteration, failure }) : null;
+  return metrics ? metrics.recordFailure(failure, { error, bundle }) : failure;
+}
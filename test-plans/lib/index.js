@@ -0,0 +1,30 @@
+// Shared CCAS page-object library used by the specs under test-plans/playwright
+export { createConfig, loadConfig, selectScript } from './config.js';
+export { loadWorkload, planWorkload, allocateUsers, taskDurationMins } from './workload.js';
+export { validateWorkload, validate, WORKLOAD_SCHEMA_FILE } from './schema.js';
+export { assignUser, loadUsers, testUserIndex, USER_ASSIGNMENT_STRATEGIES } from './credentials.js';
+export { getResultsPath, getScreenshotPath, getResultsRoot, REPO_ROOT } from './results.js';
+export { StepMetrics, EPT_FILE, SUMMARY_FILE, CALL_QUALITY_FILE } from './metrics.js';
+export { WaitRecorder, waitUntil, WAITS_FILE } from './waits.js';
+export { RetryRecorder, withRetry, RETRY_POLICIES, RECOVERY_ACTIONS, RETRIES_FILE } from './retry.js';
+export { NetworkTimingCollector, NETWORK_FILE } from './network-timing.js';
+export { FailureDiagnostics, FAILURES_DIR } from './diagnostics.js';
+export { FAILURE_CLASSES, FAILURES_FILE, classifyFailure, detectUiState, recordFailure } from './failure-taxonomy.js';
+export { BrowserConsoleLog, BROWSER_CONSOLE_FILE } from './browser-console.js';
+export { log, Logger, configureLogger, setLogContext, getLogContext, LOG_LEVELS, LOG_FORMATS } from './logger.js';
+export { TranscriptMonitor, readWavDurationMs, LATENCY_STEPS } from './transcript-latency.js';
+export { validateTranscript, matchUtterances, wordErrorRate, loadExpectedTranscript, TranscriptAccuracyError, TRANSCRIPT_FILE } from './transcript.js';
+export { RemoteAudioRecorder, REMOTE_AUDIO_FILE } from './remote-audio.js';
+export { SoakLoop, callFileName } from './soak.js';
+export { verifyOutboundAudio, inspectAudioSenders } from './audio-verification.js';
+export { assessCallQuality, computeRFactor, rFactorToMos } from './call-quality.js';
+export { WebRTCStatsCollector, WEBRTC_STATS_FILE } from './webrtc-stats.js';
+export { BrowserResourceSampler, BROWSER_RESOURCES_FILE, checkHeapTrend } from './browser-resources.js';
+export { ACCESSORS, LOGIN_ACCESSORS, GATEWAY_ACCESSORS } from './accessors.js';
+export { delay, requestMicrophoneStream, resolveAudioFilePath, fakeAudioBrowserOptions } from './browser.js';
+export { BasePage } from './pages/BasePage.js';
+export { LoginPage, constructLoginUrl } from './pages/LoginPage.js';
+export { WebRTCGatewayPage } from './pages/WebRTCGatewayPage.js';
+export { OmniChannelUtility } from './pages/OmniChannelUtility.js';
+export { VoiceCallWorkspace } from './pages/VoiceCallWorkspace.js';
+export { TelephonyDialer } from './pages/TelephonyDialer.js';
@@ -0,0 +1,96 @@
+import { pid } from 'process';
+
+// ============================================================
+// LOGGER
+// ============================================================
+// One logger for the flow, its page objects and the collectors. Every line
+// carries the correlation fields known at the time it is written: username,
+// queueName, script, worker (Playwright parallel slot), pid, the step in
+// progress, the soak iteration and, once the call has one, the VendorCallKey
+// voice session id. The flow sets them with setLogContext() as they become
+// known, so no call site has to pass them.
+//
+//   logFormat  pretty  the `##### [CCAS] Agent ... : ***** msg *****` lines,
+//                      with [step #iteration voiceSessionId] when set
+//              json    one JSON object per line, for log search: filter on any
+//                      field, join with backend logs on voiceSessionId
+//   logLevel   debug | info | warn | error (lines below it are dropped)
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['pretty', 'json'];
+
+const settings = { level: 'info', format: 'pretty' };
+const context = { pid };
+
+const WRITERS = { debug: console.log, info: console.log, warn: console.warn, error: console.error };
+
+// Error objects do not survive JSON.stringify
+const serialize = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => [key,
+  value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value]));
+
+export function configureLogger({ level = settings.level, format = settings.format } = {}) {
+  if (!LOG_LEVELS.includes(level)) throw new Error(`Unknown logLevel "${level}" (${LOG_LEVELS.join(', ')})`);
+  if (!LOG_FORMATS.includes(format)) throw new Error(`Unknown logFormat "${format}" (${LOG_FORMATS.join(', ')})`);
+  settings.level = level;
+  settings.format = format;
+}
+
+// Merges correlation fields into every following line; null or undefined removes one
+export function setLogContext(fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null || value === undefined) {
+      delete context[key];
+    } else {
+      context[key] = value;
+    }
+  }
+}
+
+export const getLogContext = () => ({ ...context });
+
+function pretty(tag, message, fields) {
+  const { username = 'unknown', queueName, step, iteration, voiceSessionId } = context;
+  const correlation = [step, iteration && `#${iteration}`, voiceSessionId].filter(Boolean).join(' ');
+  const extra = Object.keys(fields).length ? ` ${JSON.stringify(serialize(fields))}` : '';
+  return `\n##### [${tag}] Agent ${username}${queueName ? ` ${queueName}` : ''}${correlation ? ` [${correlation}]` : ''} : ************* ${message} ************** ${new Date().toISOString()}${extra}\n`;
+}
+
+export class Logger {
+  constructor({ tag = 'CCAS', ...fields } = {}) {
+    this.tag = tag;
+    this.fields = fields;
+  }
+
+  // A logger with extra fixed fields (or another tag) on every line
+  child({ tag = this.tag, ...fields } = {}) {
+    return new Logger({ tag, ...this.fields, ...fields });
+  }
+
+  write(level, message, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+    const lineFields = { ...this.fields, ...fields };
+    if (settings.format === 'json') {
+      WRITERS[level](JSON.stringify({ time: new Date().toISOString(), level, tag: this.tag, msg: message, ...context, ...serialize(lineFields) }));
+    } else {
+      WRITERS[level](pretty(this.tag, message, lineFields));
+    }
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+}
+
+export const log = new Logger();
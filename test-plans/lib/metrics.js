@@ -0,0 +1,213 @@
+import { appendFileSync, writeFileSync } from 'fs';
+import { pid } from 'process';
+import { getResultsPath, getRunId } from './results.js';
+import { checkSample, formatBreach, SlaBreachError } from './sla.js';
+import { FAILURES_FILE } from './failure-taxonomy.js';
+import { log } from './logger.js';
+
+// ============================================================
+// EPT METRICS
+// ============================================================
+// Every measured step appends one JSON line to ept.jsonl in the per-user
+// results folder (/results/<user>_<pid>_<ts>/). At the end of the run a
+// summary.json is written next to it for dashboards to ingest.
+// Passed samples are checked against the `max` SLA budgets as they arrive.
+// Call-quality (MOS) scores go to call-quality.jsonl, one line per call, and
+// classified failures (see failure-taxonomy.js) to failures.jsonl. Retries
+// taken inside a step (see retry.js) are counted on its record.
+
+export const EPT_FILE = 'ept.jsonl';
+export const SUMMARY_FILE = 'summary.json';
+export const CALL_QUALITY_FILE = 'call-quality.jsonl';
+
+export class StepMetrics {
+  constructor({ username, script, sla = {} }) {
+    this.username = username || 'unknown';
+    this.script = script;
+    this.sla = sla;
+    this.startTime = Date.now();
+    this.records = [];
+    this.slaBreaches = [];
+    this.sections = {};
+    this.callQuality = [];
+    this.failures = [];
+    this.failedErrors = new WeakSet();
+    // Retries per step not yet written to a record
+    this.pendingRetries = {};
+    // Set by SoakLoop while a call is in progress, so records say which call
+    this.iteration = null;
+  }
+
+  // Adds a named block (e.g. WebRTC stats) to summary.json; null is skipped
+  attach(name, data) {
+    if (data === null || data === undefined) return;
+    this.sections[name] = data;
+  }
+
+  // outcome is 'passed' or 'failed'; endTime marks where EPT stops, which can
+  // be before the step returns (e.g. settle delays are not part of EPT)
+  record(step, { startTime, endTime = Date.now(), outcome = 'passed', voiceSessionId = '', error, failureClass } = {}) {
+    const entry = {
+      step,
+      script: this.script,
+      username: this.username,
+      pid,
+      startTime: new Date(startTime).toISOString(),
+      endTime: new Date(endTime).toISOString(),
+      durationMs: endTime - startTime,
+      outcome,
+      voiceSessionId,
+    };
+    if (this.iteration !== null) {
+      entry.iteration = this.iteration;
+    }
+    if (error) {
+      entry.error = error.message || String(error);
+    }
+    if (failureClass) {
+      entry.failureClass = failureClass;
+    }
+    if (this.pendingRetries[step]) {
+      entry.retries = this.pendingRetries[step];
+      delete this.pendingRetries[step];
+    }
+    const breach = outcome === 'passed' ? checkSample(this.sla, step, entry.durationMs) : null;
+    if (breach) {
+      entry.slaBreach = breach;
+      this.slaBreaches.push(breach);
+      log.warn(`SLA BREACH: ${formatBreach(breach)}`);
+    }
+    this.records.push(entry);
+
+    try {
+      appendFileSync(getResultsPath(EPT_FILE, this.username), `${JSON.stringify(entry)}\n`);
+    } catch (writeError) {
+      log.warn(`Could not write ${EPT_FILE}: ${writeError.message}`);
+    }
+    return entry;
+  }
+
+  // One retry inside `step`, written with the step's next record
+  countRetry(step) {
+    if (!step) return;
+    this.pendingRetries[step] = (this.pendingRetries[step] || 0) + 1;
+  }
+
+  // callStep is the EPT step that set up the call (AcceptingIncomingCallTHB or
+  // MakeOutboundCall); quality comes from assessCallQuality()
+  recordCallQuality(callStep, quality) {
+    const callRecord = [...this.records].reverse().find((entry) => entry.step === callStep);
+    const entry = {
+      callStep,
+      script: this.script,
+      username: this.username,
+      pid,
+      time: new Date().toISOString(),
+      voiceSessionId: callRecord ? callRecord.voiceSessionId : '',
+      ...(this.iteration !== null && { iteration: this.iteration }),
+      pcId: quality.pcId,
+      ...(quality.call || { mos: null, rFactor: null }),
+    };
+    this.callQuality.push({ ...entry, peerConnections: quality.peerConnections });
+
+    if (quality.call) {
+      log.info(`MOS for ${callStep}: ${entry.mos} (R-factor ${entry.rFactor}, loss ${entry.lossPercent}%, jitter ${entry.jitterMs}ms, RTT ${entry.rttMs}ms)`);
+    } else {
+      log.warn(`MOS for ${callStep} unavailable: no inbound RTP stats`);
+    }
+
+    try {
+      appendFileSync(getResultsPath(CALL_QUALITY_FILE, this.username), `${JSON.stringify(entry)}\n`);
+    } catch (writeError) {
+      log.warn(`Could not write ${CALL_QUALITY_FILE}: ${writeError.message}`);
+    }
+    return entry;
+  }
+
+  // Whether `error` was already classified (by the step that threw it)
+  hasFailure(error) {
+    return Boolean(error && typeof error === 'object' && this.failedErrors.has(error));
+  }
+
+  // failure comes from classifyFailure(); bundle is the diagnostics folder
+  recordFailure(failure, { error, bundle = null } = {}) {
+    if (error && typeof error === 'object') this.failedErrors.add(error);
+    const run = getRunId();
+    const entry = {
+      ...(run && { run }),
+      script: this.script,
+      username: this.username,
+      pid,
+      time: new Date().toISOString(),
+      ...(this.iteration !== null && { iteration: this.iteration }),
+      ...failure,
+      bundle,
+    };
+    this.failures.push(entry);
+    log.error(`Failure classified as ${entry.failureClass} (${entry.origin}) in ${entry.step}: ${entry.error}`);
+
+    try {
+      appendFileSync(getResultsPath(FAILURES_FILE, this.username), `${JSON.stringify(entry)}\n`);
+    } catch (writeError) {
+      log.warn(`Could not write ${FAILURES_FILE}: ${writeError.message}`);
+    }
+    return entry;
+  }
+
+  // Called at the end of a flow so a breach fails the test without
+  // abandoning the call half way through
+  assertWithinSla() {
+    if (this.slaBreaches.length) {
+      throw new SlaBreachError(this.slaBreaches);
+    }
+  }
+
+  summarize() {
+    const steps = {};
+    for (const entry of this.records) {
+      const summary = steps[entry.step] || { count: 0, passed: 0, failed: 0, retries: 0, durationsMs: [] };
+      summary.count++;
+      summary.retries += entry.retries || 0;
+      summary[entry.outcome === 'passed' ? 'passed' : 'failed']++;
+      summary.durationsMs.push(entry.durationMs);
+      steps[entry.step] = summary;
+    }
+    // Retries of steps that write no EPT sample (EndCall, OmniChannelSetOffline)
+    for (const [step, retries] of Object.entries(this.pendingRetries)) {
+      const summary = steps[step] || { count: 0, passed: 0, failed: 0, retries: 0, durationsMs: [] };
+      summary.retries += retries;
+      steps[step] = summary;
+    }
+    return steps;
+  }
+
+  // status is the overall test outcome: 'passed' or 'failed'
+  writeSummary({ status, error } = {}) {
+    const endTime = Date.now();
+    const summary = {
+      script: this.script,
+      username: this.username,
+      pid,
+      startTime: new Date(this.startTime).toISOString(),
+      endTime: new Date(endTime).toISOString(),
+      durationMs: endTime - this.startTime,
+      status,
+      error: error ? error.message || String(error) : undefined,
+      // The first failure is the one that ended the run
+      failureClass: this.failures.length ? this.failures[0].failureClass : undefined,
+      failures: this.failures,
+      slaBreaches: this.slaBreaches,
+      voiceSessionIds: [...new Set(this.records.map((entry) => entry.voiceSessionId).filter(Boolean))],
+      steps: this.summarize(),
+      callQuality: this.callQuality,
+      ...this.sections,
+    };
+
+    try {
+      writeFileSync(getResultsPath(SUMMARY_FILE, this.username), JSON.stringify(summary, null, 2));
+    } catch (writeError) {
+      log.warn(`Could not write ${SUMMARY_FILE}: ${writeError.message}`);
+    }
+    return summary;
+  }
+}
@@ -0,0 +1,161 @@
+import { writeFileSync } from 'fs';
+import { pid } from 'process';
+import { getResultsPath } from './results.js';
+import { log } from './logger.js';
+
+// ============================================================
+// NETWORK TIMING PER STEP
+// ============================================================
+// Captures every request the agent's browser context makes, with Chrome's
+// timing and sizes, and attributes it to the EPT step whose window it
+// started in (the innermost one when steps nest). A slow step can then be
+// traced to the backend call behind it.
+//
+// Requests are grouped by category and action:
+//
+//   aura     /aura?r= calls, one entry per Aura action in the batch
+//            (e.g. RecordGvpController.getRecord); batched actions share
+//            the request's timing
+//   gateway  the WebRTC gateway (webrtcGatewayUrl host)
+//   voice    voice / telephony / CCaaS endpoints
+//   other    everything else, by resource type
+//
+// serverMs is time to first byte (request sent to response start), the
+// closest the browser gets to backend time; durationMs runs to the end of
+// the response.
+
+export const NETWORK_FILE = 'network.jsonl';
+export const OUTSIDE_STEPS = '(between steps)';
+
+const VOICE_URL = /voice|telephony|ccaas|scrt|vendorcall/i;
+
+// "serviceComponent://ui.force...RecordGvpController/ACTION$getRecord" -> "RecordGvpController.getRecord"
+export function shortActionName(descriptor) {
+  const match = /([^/.]+)\/ACTION\$(.+)$/.exec(descriptor || '');
+  return match ? `${match[1]}.${match[2]}` : descriptor;
+}
+
+// Action names of an /aura request: from the `message` form field when it
+// parses, otherwise from the query string keys Lightning adds per action
+export function auraActions(url, postData) {
+  try {
+    const message = JSON.parse(new URLSearchParams(postData || '').get('message'));
+    const actions = (message.actions || []).map((action) => shortActionName(action.descriptor)).filter(Boolean);
+    if (actions.length) return actions;
+  } catch (error) {
+    // Not a form-encoded Aura message
+  }
+  const keys = [...new URL(url).searchParams.keys()].filter((key) => key !== 'r' && !key.startsWith('aura.'));
+  return keys.length ? keys : ['(unparsed)'];
+}
+
+// Ids and long tokens in paths become :id so the same endpoint groups together
+const normalizePath = (pathname) => pathname
+  .split('/')
+  .map((segment) => (/\d/.test(segment) && segment.length > 6) || /^[0-9a-f-]{16,}$/i.test(segment) ? ':id' : segment)
+  .join('/');
+
+export function categorize(url, { gatewayHost = null } = {}) {
+  const parsed = new URL(url);
+  if (/\/aura$/.test(parsed.pathname) || parsed.pathname.includes('/aura/')) return 'aura';
+  if (gatewayHost && parsed.host === gatewayHost) return 'gateway';
+  if (VOICE_URL.test(parsed.host) || VOICE_URL.test(parsed.pathname)) return 'voice';
+  return 'other';
+}
+
+// The innermost step whose window contains `time`
+export function stepAt(records, time) {
+  const containing = records.filter((record) => {
+    const start = Date.parse(record.startTime);
+    return start <= time && time <= Date.parse(record.endTime);
+  });
+  containing.sort((a, b) => a.durationMs - b.durationMs);
+  return containing[0] || null;
+}
+
+export class NetworkTimingCollector {
+  constructor({ gatewayUrl = null } = {}) {
+    this.gatewayHost = null;
+    try {
+      this.gatewayHost = gatewayUrl ? new URL(gatewayUrl).host : null;
+    } catch (error) {
+      // Not a URL: no gateway category
+    }
+    this.requests = [];
+    this.pending = new Set();
+  }
+
+  install(context) {
+    context.on('requestfinished', (request) => this.track(this.capture(request, 'finished')));
+    context.on('requestfailed', (request) => this.track(this.capture(request, 'failed')));
+  }
+
+  track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise));
+  }
+
+  async capture(request, outcome) {
+    try {
+      const url = request.url();
+      if (!/^https?:/.test(url)) return;
+      const timing = request.timing();
+      const response = outcome === 'finished' ? await request.response() : null;
+      const sizes = outcome === 'finished' ? await request.sizes().catch(() => null) : null;
+      const category = categorize(url, { gatewayHost: this.gatewayHost });
+      const { origin, pathname } = new URL(url);
+      this.requests.push({
+        startTime: timing.startTime,
+        category,
+        actions: category === 'aura' ? auraActions(url, request.postData())
+          : [category === 'other' ? request.resourceType() : `${request.method()} ${origin}${normalizePath(pathname)}`],
+        method: request.method(),
+        url: `${origin}${pathname}`,
+        resourceType: request.resourceType(),
+        status: response ? response.status() : null,
+        outcome: outcome === 'failed' || (response && response.status() >= 400) ? 'failed' : 'passed',
+        error: outcome === 'failed' ? request.failure()?.errorText : undefined,
+        serverMs: timing.requestStart >= 0 && timing.responseStart >= 0 ? Math.round(timing.responseStart - timing.requestStart) : null,
+        durationMs: timing.responseEnd >= 0 ? Math.round(timing.responseEnd) : null,
+        requestBytes: sizes ? sizes.requestBodySize : null,
+        responseBytes: sizes ? sizes.responseBodySize : null,
+      });
+    } catch (error) {
+      // Page or context closing while the request finished: drop it
+    }
+  }
+
+  // Attributes every request to a step of `records` (StepMetrics.records),
+  // writes network.jsonl and returns the slowest aura/voice/gateway actions per step
+  async save(username, records) {
+    await Promise.allSettled([...this.pending]);
+    const lines = this.requests.map((request) => {
+      const record = stepAt(records, request.startTime);
+      return {
+        step: record ? record.step : OUTSIDE_STEPS,
+        ...(record && record.iteration !== undefined && { iteration: record.iteration }),
+        username,
+        pid,
+        ...request,
+        startTime: new Date(request.startTime).toISOString(),
+      };
+    });
+
+    try {
+      writeFileSync(getResultsPath(NETWORK_FILE, username), lines.map((line) => JSON.stringify(line)).join('\n') + (lines.length ? '\n' : ''));
+    } catch (writeError) {
+      log.warn(`Could not write ${NETWORK_FILE}: ${writeError.message}`);
+    }
+
+    const slowest = {};
+    for (const line of lines) {
+      if (line.category === 'other' || line.serverMs === null) continue;
+      const current = slowest[line.step];
+      if (!current || line.serverMs > current.serverMs) {
+        slowest[line.step] = { actions: line.actions, serverMs: line.serverMs, durationMs: line.durationMs, status: line.status };
+      }
+    }
+    log.info(`Network: ${lines.length} request(s), ${lines.filter((l) => l.category === 'aura').length} Aura`);
+    return { requests: lines.length, failed: lines.filter((line) => line.outcome === 'failed').length, slowestByStep: slowest };
+  }
+}
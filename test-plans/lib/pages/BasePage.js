@@ -0,0 +1,154 @@
+import { getScreenshotPath } from '../results.js';
+import { waitUntil } from '../waits.js';
+import { log, setLogContext } from '../logger.js';
+import { recordFailure } from '../failure-taxonomy.js';
+import { withRetry } from '../retry.js';
+
+// ============================================================
+// BASE PAGE
+// ============================================================
+// Common plumbing for the CCAS page objects: config lookup, logging through
+// the shared logger (tagged per flow), optional screenshots, the
+// condition-based waits that replaced fixed sleeps, the declared retry
+// policies, the remote audio recorder and the failure hook every step's
+// catch goes through.
+export class BasePage {
+  constructor(page, config, { tag = 'CCAS', metrics = null, webrtcStats = null, waits = null, diagnostics = null, retries = null, remoteAudio = null } = {}) {
+    this.page = page;
+    this.config = config;
+    this.tag = tag;
+    this.metrics = metrics;
+    this.webrtcStats = webrtcStats;
+    this.waits = waits;
+    this.diagnostics = diagnostics;
+    this.retries = retries;
+    this.remoteAudio = remoteAudio;
+    this.log = log.child({ tag });
+  }
+
+  get username() {
+    return this.config.get('username');
+  }
+
+  get queueName() {
+    return this.config.get('queueName');
+  }
+
+  xpath(selector) {
+    return this.page.locator(`xpath=${selector}`);
+  }
+
+  logInfo(message, fields) {
+    this.log.info(message, fields);
+  }
+
+  logWarn(message, fields) {
+    this.log.warn(message, fields);
+  }
+
+  logError(message, fields) {
+    this.log.error(message, fields);
+  }
+
+  // Marks the start of a step: every log line from here on carries it.
+  // Returns the start time for the step's EPT.
+  startStep(step) {
+    setLogContext({ step });
+    return Date.now();
+  }
+
+  // Waits up to capMs for condition(), recorded in waits.jsonl when the flow
+  // was given a WaitRecorder; returns whether the condition was met
+  waitUntil(name, condition, { capMs, pollMs } = {}) {
+    return waitUntil(name, condition, { capMs, pollMs, recorder: this.waits });
+  }
+
+  // Runs action(attempt) under the RETRY_POLICIES entry `name` (retry.js);
+  // retries go to retries.jsonl when the flow was given a RetryRecorder and
+  // are counted on the current step's EPT record
+  retry(name, action) {
+    return withRetry(name, action, { pageObject: this, recorder: this.retries, metrics: this.metrics });
+  }
+
+  // Starts recording what the agent hears (a RemoteAudioRecorder, when the
+  // flow was given one) right after Accept or Call is clicked, so the start
+  // of the call is on the recording. The step goes on meanwhile and awaits
+  // the returned promise once the call is connected.
+  startRemoteAudio() {
+    return this.remoteAudio ? this.remoteAudio.start(this.page) : Promise.resolve(0);
+  }
+
+  // Shorthand conditions for waitUntil
+  visible(selector) {
+    return () => this.xpath(selector).first().isVisible();
+  }
+
+  cssVisible(selector) {
+    return () => this.page.locator(selector).first().isVisible();
+  }
+
+  // A peer connection reached "connected" at or after `since` (needs webrtcStats)
+  peerConnectedSince(since) {
+    return () => Boolean(this.webrtcStats && this.webrtcStats.events.some((event) => event.type === 'state'
+      && event.connectionState === 'connected' && event.t >= since));
+  }
+
+  // Writes the step's EPT record when the flow was given a StepMetrics
+  recordStep(step, measurement) {
+    return this.metrics ? this.metrics.record(step, measurement) : null;
+  }
+
+  // Failure hook for a step that threw: classifies the failure from the
+  // step and the page's state, records the failed EPT (when the step is
+  // timed) and saves the diagnostics bundle when the flow was given a
+  // FailureDiagnostics. The caller rethrows.
+  async failStep(step, error, { startTime } = {}) {
+    return recordFailure(this.page, step, error, {
+      metrics: this.metrics,
+      diagnostics: this.diagnostics,
+      webrtcStats: this.webrtcStats,
+      startTime,
+    });
+  }
+
+  async getVoiceSessionId() {
+    return this.page.evaluate(() => {
+      const div = document.querySelector('div[data-target-selection-name="sfdc:RecordField.VoiceCall.VendorCallKey"]');
+      if (div) {
+        const span = div.querySelector('span.uiOutputText');
+        return span ? span.textContent.trim() : '';
+      }
+      return '';
+    });
+  }
+
+  // Get and log voice session ID and current page URL
+  async logCallDetails() {
+    let voiceSessionId = '';
+    try {
+      voiceSessionId = await this.getVoiceSessionId();
+      // From here on every log line can be joined with the backend's call logs
+      setLogContext({ voiceSessionId: voiceSessionId || null });
+      this.logInfo(`Voice Session ID: "${voiceSessionId}"`);
+    } catch (sessionIdError) {
+      this.logWarn(`Could not get voice session ID: ${sessionIdError.message}`);
+    }
+    this.logInfo(`Current Page URL: "${this.page.url()}"`);
+    return voiceSessionId;
+  }
+
+  // Screenshots are optional diagnostics: never fail a step because of them
+  async screenshot(filename) {
+    if (!this.config.screenshotsEnabled()) {
+      return null;
+    }
+    const path = getScreenshotPath(filename, this.username);
+    try {
+      await this.page.screenshot({ path });
+      return path;
+    } catch (screenshotError) {
+      this.logWarn(`Screenshot ${filename} failed: ${screenshotError.message}`);
+      return null;
+    }
+  }
+}
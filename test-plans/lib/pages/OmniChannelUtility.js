@@ -0,0 +1,128 @@
+import { BasePage } from './BasePage.js';
+import { ACCESSORS } from '../accessors.js';
+import { delay } from '../browser.js';
+
+// ============================================================
+// OMNI-CHANNEL UTILITY BAR
+// ============================================================
+export class OmniChannelUtility extends BasePage {
+  // The utility bar button reads "Omni-Channel (Online)" once the agent has a
+  // presence and "Omni-Channel" before that; either label will do
+  utilityBarButton() {
+    return this.xpath(ACCESSORS.omniChannelOnline).or(this.xpath(ACCESSORS.omniChannel)).first();
+  }
+
+  // Opens the utility panel
+  async open({ timeout = this.config.get('ccasTimeout') } = {}) {
+    await this.utilityBarButton().click({ timeout });
+    this.logInfo('Clicked on Omni-Channel');
+  }
+
+  // Opens the panel until its status dropdown shows (it might be collapsed)
+  async openStatusPanel() {
+    await this.retry('OpenStatusPanel', async () => {
+      await this.open({ timeout: 5000 });
+      if (!(await this.waitUntil('StatusPanelOpened', this.cssVisible(ACCESSORS.statusDropDown), { capMs: 2000 }))) {
+        throw new Error('Omni-Channel status dropdown not visible');
+      }
+    });
+    this.logInfo('Omni-Channel panel opened');
+  }
+
+  // ============================================================
+  // SET OMNI-CHANNEL ONLINE
+  // ============================================================
+  // Returns the EPT for OmniChannelSetOnline (Click to Available)
+  async setOnline() {
+    const { page } = this;
+    const timeoutMs = this.config.get('ccasTimeout');
+    const startTime = this.startStep('OmniChannelSetOnline');
+
+    try {
+      this.logInfo('📞 Step: Setting Omni-Channel to Online');
+
+      await this.retry('SetPresenceOnline', async () => {
+        // Click on Omni-Channel
+        await this.xpath(ACCESSORS.omniChannel).waitFor({ state: 'visible', timeout: timeoutMs });
+        await this.xpath(ACCESSORS.omniChannel).click();
+        this.logInfo('Clicked on Omni-Channel');
+        await this.screenshot('OmniChannelSetOnline_clickOmniChannel.png');
+
+        // Wait for status dropdown
+        await page.locator(ACCESSORS.statusDropDown).waitFor({ state: 'visible', timeout: timeoutMs });
+        this.logInfo('Able to enter inside Omni-Channel');
+        await this.screenshot('OmniChannelSetOnline_viewStatusDropdown.png');
+
+        // Click status dropdown
+        await page.locator(ACCESSORS.statusDropDown).click();
+        this.logInfo('Clicked on Status DropDown');
+        await this.screenshot('OmniChannelSetOnline_clickStatusDropDown.png');
+
+        // Select "Available"
+        await this.xpath(ACCESSORS.availableForVoice).waitFor({ state: 'visible', timeout: timeoutMs });
+        await this.xpath(ACCESSORS.availableForVoice).click();
+        this.logInfo('Selected Available For Voice');
+        await this.screenshot('InboxImage_OmniChannelSetOnline.png');
+      });
+
+      const endTime = Date.now();
+      await this.waitUntil('PresenceOnline', this.visible(ACCESSORS.omniChannelOnline), { capMs: 5000 });
+      this.logInfo(`Presence online after ${Date.now() - endTime}ms`);
+
+      // Lead time for the external SIPp load generator before calls are routed:
+      // nothing on the page shows it is ready, so this stays a fixed delay
+      const sippLeadTime = this.config.get('sippLeadTime');
+      await delay(sippLeadTime);
+      this.logInfo(`Waited ${sippLeadTime}ms to start the SIPP test`);
+
+      const ept = endTime - startTime;
+      this.logInfo(`EPT for OmniChannelSetOnline (Click to Available): ${ept}ms`);
+      this.recordStep('OmniChannelSetOnline', { startTime, endTime });
+      await this.screenshot('OmniChannelSetOnline_SelectedAvailableForVoice.png');
+
+      return ept;
+    } catch (error) {
+      const ept = Date.now() - startTime;
+      await this.failStep('OmniChannelSetOnline', error, { startTime });
+      this.logError(`Error in OmniChannelSetOnline after ${ept}ms: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // SET OMNI-CHANNEL OFFLINE
+  // ============================================================
+  // Best effort: a failure here is logged but does not fail the flow
+  async setOffline() {
+    const { page } = this;
+    const timeoutMs = this.config.get('ccasTimeout');
+    this.startStep('OmniChannelSetOffline');
+
+    try {
+      this.logInfo('🔴 Step: Setting Omni-Channel to Offline');
+      this.logInfo('Setting Omni-Channel to Offline');
+
+      // Wait for the UI to settle after ending call: no overlay left over the utility bar
+      await this.waitUntil('ConsoleSettledAfterCall', async () => !(await this.cssVisible(ACCESSORS.backdrop)()), { capMs: 2000 });
+      await this.openStatusPanel();
+
+      await page.locator(ACCESSORS.statusDropDown).click();
+      this.logInfo('Clicked on Status DropDown');
+      await this.waitUntil('StatusMenuOpened', this.visible(ACCESSORS.offlineStatus), { capMs: 1000 });
+
+      await this.xpath(ACCESSORS.offlineStatus).waitFor({ state: 'visible', timeout: timeoutMs });
+      await this.xpath(ACCESSORS.offlineStatus).click();
+      this.logInfo('Selected Offline status');
+      await this.waitUntil('PresenceOffline', async () => !(await this.visible(ACCESSORS.omniChannelOnline)()), { capMs: 2000 });
+
+      // Take final screenshot showing Offline state
+      await this.screenshot('OmniChannel_Offline_Complete.png');
+
+      this.logInfo('Successfully set Omni-Channel to Offline');
+      this.logInfo('✅ Omni-Channel set to Offline');
+    } catch (error) {
+      this.logError(`Error setting Omni-Channel to Offline: ${error.message}`);
+      this.logWarn('⚠️ Failed to set Omni-Channel to Offline, continuing...');
+    }
+  }
+}
@@ -0,0 +1,88 @@
+import { BasePage } from './BasePage.js';
+import { ACCESSORS } from '../accessors.js';
+import { requestMicrophoneStream } from '../browser.js';
+
+// ============================================================
+// TELEPHONY DIALER (embedded telephony utility tab)
+// ============================================================
+export class TelephonyDialer extends BasePage {
+  async openTab() {
+    const timeoutMs = this.config.get('ccasTimeout');
+    this.logInfo('Clicking on Telephony tab');
+    await this.xpath(ACCESSORS.telephonyTab).waitFor({ state: 'visible', timeout: timeoutMs });
+    await this.xpath(ACCESSORS.telephonyTab).click();
+    this.logInfo('Telephony tab opened');
+  }
+
+  // ============================================================
+  // MAKE OUTBOUND CALL
+  // ============================================================
+  // Returns the EPT for MakeOutboundCall
+  async makeOutboundCall() {
+    const { page } = this;
+    const timeoutMs = this.config.get('ccasTimeout');
+    const phoneNumber = this.config.get('phoneNumber');
+    const startTime = this.startStep('MakeOutboundCall');
+    let endTime = startTime;
+    let ept = 0;
+    let remoteAudioStarted = Promise.resolve(0);
+
+    try {
+      this.logInfo('📞 Step: Making outbound call');
+
+      await this.openTab();
+      await this.waitUntil('DialPadShown', this.cssVisible(ACCESSORS.phoneInput), { capMs: 2000 });
+      await this.screenshot('TelephonyTab_Opened.png');
+
+      // Request microphone access BEFORE making the call
+      await requestMicrophoneStream(page, { waits: this.waits });
+
+      // Fill in phone number
+      this.logInfo(`Filling phone number: ${phoneNumber}`);
+      await page.locator(ACCESSORS.phoneInput).waitFor({ state: 'visible', timeout: timeoutMs });
+      await page.locator(ACCESSORS.phoneInput).fill(phoneNumber);
+      this.logInfo('Phone number filled');
+      await this.waitUntil('PhoneNumberEntered', async () => (await page.locator(ACCESSORS.phoneInput).inputValue()) === phoneNumber, { capMs: 1000 });
+      await this.screenshot('PhoneNumber_Filled.png');
+
+      // Click Call button
+      this.logInfo('Clicking Call button');
+      await page.locator(ACCESSORS.callButton).waitFor({ state: 'visible', timeout: timeoutMs });
+      await page.locator(ACCESSORS.callButton).click();
+      this.logInfo('Call button clicked, call initiated');
+      const dialedAt = Date.now();
+      remoteAudioStarted = this.startRemoteAudio();
+      await this.screenshot('OutboundCall_Initiated.png');
+
+      // Wait for call to connect - for outbound calls, the Mute button may stay hidden,
+      // so the call's peer connection coming up counts too
+      this.logInfo('Waiting for call to establish');
+      await this.waitUntil('OutboundCallEstablished', async () => this.peerConnectedSince(dialedAt)()
+        || this.visible(ACCESSORS.muteButton)(), { capMs: 6000 });
+
+      // Try to verify call is connected by checking for Mute button (optional - don't fail if not visible)
+      if (await this.xpath(ACCESSORS.muteButton).isVisible()) {
+        this.logInfo('Call connected (Mute button visible)');
+      } else {
+        this.logInfo('Mute button not visible yet, continuing (call may still be connecting)');
+      }
+
+      endTime = Date.now();
+      ept = endTime - startTime;
+      this.logInfo(`EPT for MakeOutboundCall: ${ept}ms`);
+      await this.screenshot('OutboundCall_Connected.png');
+    } catch (error) {
+      ept = Date.now() - startTime;
+      await this.failStep('MakeOutboundCall', error, { startTime });
+
+      this.logError(`Error in MakeOutboundCall after ${ept}ms: ${error.message}`);
+      throw error;
+    }
+
+    const voiceSessionId = await this.logCallDetails();
+    this.recordStep('MakeOutboundCall', { startTime, endTime, voiceSessionId });
+    await remoteAudioStarted;
+
+    return ept;
+  }
+}
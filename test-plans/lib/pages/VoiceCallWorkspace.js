@@ -0,0 +1,405 @@
+import { writeFileSync } from 'fs';
+import { BasePage } from './BasePage.js';
+import { OmniChannelUtility } from './OmniChannelUtility.js';
+import { ACCESSORS } from '../accessors.js';
+import { delay, requestMicrophoneStream } from '../browser.js';
+import { verifyOutboundAudio } from '../audio-verification.js';
+import { getResultsPath } from '../results.js';
+import { loadExpectedTranscript, validateTranscript, TranscriptAccuracyError, TRANSCRIPT_FILE } from '../transcript.js';
+
+// ============================================================
+// VOICE CALL WORKSPACE
+// ============================================================
+// The VC- record tab and its call controls: accepting a routed call,
+// transcripts, and ending / closing the call.
+export class VoiceCallWorkspace extends BasePage {
+  constructor(page, config, options = {}) {
+    super(page, config, options);
+    this.omniChannel = new OmniChannelUtility(page, config, options);
+  }
+
+  // ============================================================
+  // ACCEPT INCOMING CALL
+  // ============================================================
+  // Returns the EPT for AcceptingIncomingCallTHB
+  async acceptIncomingCall() {
+    const { page } = this;
+    const timeoutMs = this.config.get('ccasTimeout');
+    const agentWaitTime = this.config.get('AgentWaitTime');
+    const startTime = this.startStep('AcceptingIncomingCallTHB');
+    let endTime = startTime;
+    let ept = 0;
+    let remoteAudioStarted = Promise.resolve(0);
+
+    try {
+      this.logInfo('📞 Step: Accepting incoming call');
+
+      // Click on inbox
+      this.logInfo(`Waiting for ${agentWaitTime}ms to receive the Voice Call`);
+      await this.xpath(ACCESSORS.inbox).waitFor({ state: 'visible', timeout: agentWaitTime * 30 });
+      this.logInfo('Voice Call is received');
+      await this.xpath(ACCESSORS.inbox).click();
+      await this.screenshot('VoiceCallReceived.png');
+
+      // Request microphone access BEFORE accepting the call to ensure media stream is ready
+      await requestMicrophoneStream(page, { waits: this.waits });
+
+      // Accept the call (AcceptCall policy: a toast or modal over the button is dismissed)
+      await this.xpath(ACCESSORS.acceptIncomingMessage).waitFor({ state: 'visible', timeout: timeoutMs * 10 });
+      await this.retry('AcceptCall', () => this.xpath(ACCESSORS.acceptIncomingMessage).click({ timeout: timeoutMs }));
+      this.logInfo('Accepted the Voice Call');
+      remoteAudioStarted = this.startRemoteAudio();
+      await this.screenshot('AcceptingIncomingCallTHB.png');
+
+      // Until the call is established: its peer connection is up or the call controls show
+      await this.waitUntil('IncomingCallEstablished', async () => this.peerConnectedSince(startTime)()
+        || this.visible(ACCESSORS.muteButton)(), { capMs: 500 });
+
+      endTime = Date.now();
+      ept = endTime - startTime;
+      this.logInfo(`EPT for AcceptingIncomingCallTHB: ${ept}ms`);
+    } catch (error) {
+      ept = Date.now() - startTime;
+      await this.failStep('AcceptingIncomingCallTHB', error, { startTime });
+      await this.logBackdrops();
+
+      this.logError(`Error in AcceptingIncomingCallTHB after ${ept}ms: ${error.message}`);
+      throw error;
+    }
+
+    await this.verifyConnected();
+    const voiceSessionId = await this.logCallDetails();
+    this.recordStep('AcceptingIncomingCallTHB', { startTime, endTime, voiceSessionId });
+    await remoteAudioStarted;
+
+    return ept;
+  }
+
+  // Check for backdrop element and log if present
+  async logBackdrops() {
+    try {
+      const backdropCount = await this.page.locator(ACCESSORS.backdrop).count();
+      if (backdropCount === 0) {
+        this.logInfo('No backdrop elements found');
+        return;
+      }
+      const backdropInfo = await this.page.evaluate((selector) => {
+        const backdrops = Array.from(document.querySelectorAll(selector));
+        return backdrops.map((bd) => ({
+          className: bd.className,
+          visible: bd.offsetParent !== null,
+          zIndex: window.getComputedStyle(bd).zIndex,
+          display: window.getComputedStyle(bd).display,
+        }));
+      }, ACCESSORS.backdrop);
+      this.logError(`BACKDROP DETECTED: ${backdropCount} backdrop element(s) found. Details: ${JSON.stringify(backdropInfo)}`);
+    } catch (backdropCheckError) {
+      this.logWarn(`Could not check for backdrop: ${backdropCheckError.message}`);
+    }
+  }
+
+  // Verify call is connected (optional check with shorter timeout)
+  async verifyConnected() {
+    try {
+      await this.waitUntil('OmniChannelButtonReady', async () => await this.visible(ACCESSORS.omniChannelOnline)()
+        || this.visible(ACCESSORS.omniChannel)(), { capMs: 500 });
+
+      // Click on Omni-Channel before checking connected icon
+      try {
+        await this.omniChannel.open();
+        await this.waitUntil('CallControlsShown', this.visible(ACCESSORS.muteButton), { capMs: 1000 });
+      } catch (error) {
+        this.logWarn(`Could not click Omni-Channel: ${error.message} - continuing to check connected`);
+      }
+
+      const connected = await this.xpath(ACCESSORS.muteButton)
+        .waitFor({ state: 'visible', timeout: 10000 })
+        .then(() => true)
+        .catch(() => false);
+      if (connected) {
+        this.logInfo('Connected Icon is visible');
+      } else {
+        this.logWarn('Connected Icon not found within 10s, continuing...');
+      }
+      await this.screenshot('AcceptingIncomingCallTHB_ConnectedIcon.png');
+      return connected;
+    } catch (error) {
+      this.logError(`Error in checking if call is connected -  ${error.message}`);
+      return false;
+    }
+  }
+
+  // ============================================================
+  // ENABLE MICROPHONE - Request getUserMedia to ensure fake audio is used
+  // ============================================================
+  // With verifyAudio enabled, getUserMedia errors are no longer swallowed and
+  // the step fails unless the fake-capture audio is actually being transmitted
+  async enableMicrophone() {
+    const verifyAudio = this.config.get('verifyAudio');
+    this.startStep('EnableMicrophone');
+    this.logInfo('🎤 Step: Enabling microphone and requesting media stream');
+    this.logInfo('Enabling microphone');
+
+    let micError = null;
+    try {
+      // Explicitly request getUserMedia to ensure fake audio is captured
+      micError = await this.page.evaluate(async () => {
+        try {
+          await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+          return null;
+        } catch (error) {
+          return `${error.name}: ${error.message}`;
+        }
+      });
+    } catch (error) {
+      micError = error.message;
+    }
+
+    if (micError) {
+      this.logWarn(`Error enabling microphone: ${micError}`);
+      if (verifyAudio) {
+        const error = new Error(`Microphone could not be enabled: ${micError}`);
+        await this.failStep('EnableMicrophone', error);
+        throw error;
+      }
+    } else {
+      this.logInfo('Microphone enabled');
+    }
+
+    if (verifyAudio) {
+      await this.verifyAudioPath();
+    }
+  }
+
+  // Records OutboundAudioDetected: time until the WAV is heard on the wire
+  async verifyAudioPath() {
+    if (!this.webrtcStats) {
+      throw new Error('verifyAudio requires the flow to pass a WebRTCStatsCollector to its page objects');
+    }
+    const startTime = this.startStep('OutboundAudioDetected');
+    try {
+      const result = await verifyOutboundAudio(this.page, this.webrtcStats, {
+        timeoutMs: this.config.get('audioVerifyTimeout'),
+        threshold: this.config.get('audioSilenceThreshold'),
+      });
+      this.logInfo(`Outbound audio detected after ${result.detectedAfterMs}ms (peak level ${result.peakLevel.toFixed(4)})`);
+      this.recordStep('OutboundAudioDetected', { startTime });
+    } catch (error) {
+      await this.failStep('OutboundAudioDetected', error, { startTime });
+      this.logError(error.message);
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // TRANSCRIPTS
+  // ============================================================
+  async countMessages(selector, label) {
+    const count = await this.xpath(selector).count();
+    if (count > 0) {
+      this.logInfo(`${label} Messages found: ${count}`);
+      if (count > 1) {
+        this.logInfo('Transcript is working (more than 1 message)');
+      }
+    } else {
+      this.logWarn(`${label} First Message not found`);
+    }
+    return count;
+  }
+
+  // Waits briefly for the first customer and agent bubbles, then counts them
+  async checkTranscripts({ screenshotPrefix = 'AcceptingIncomingCallTHB' } = {}) {
+    try {
+      await this.xpath(ACCESSORS.customerFirstMessage).waitFor({ state: 'visible', timeout: 10000 }).catch(() => {
+        this.logWarn('Customer message not found within 10s, continuing...');
+      });
+      const customerMessageCount = await this.countMessages(ACCESSORS.customerFirstMessage, 'Customer');
+      await this.screenshot(`${screenshotPrefix}_CustomerFirstMessage.png`);
+
+      await this.xpath(ACCESSORS.agentFirstMessage).waitFor({ state: 'visible', timeout: 10000 }).catch(() => {
+        this.logWarn('Agent message not found within 10s, continuing...');
+      });
+      const agentMessageCount = await this.countMessages(ACCESSORS.agentFirstMessage, 'Agent');
+      await this.screenshot(`${screenshotPrefix}_AgentFirstMessage.png`);
+
+      return { customerMessageCount, agentMessageCount };
+    } catch (error) {
+      this.logWarn(`Error checking messages: ${error.message}`);
+      return { customerMessageCount: 0, agentMessageCount: 0 };
+    }
+  }
+
+  // Every transcript bubble in conversation order: inbound bubbles are the
+  // customer, outbound the agent; timestamp is the bubble's meta line
+  async extractTranscript() {
+    return this.xpath(ACCESSORS.transcriptMessage).evaluateAll((elements) =>
+      elements.map((element) => {
+        const item = element.closest('li') || element.parentElement;
+        const meta = item ? item.querySelector('.slds-chat-message__meta') : null;
+        return {
+          speaker: element.classList.contains('slds-chat-message__text_inbound') ? 'customer' : 'agent',
+          text: element.innerText.trim(),
+          timestamp: meta ? meta.innerText.trim() : null,
+        };
+      }));
+  }
+
+  // Saves transcript.json (or fileName) and, when the audio asset has an
+  // expected-utterances file, scores the transcript against it. Call while
+  // the VC- tab is still open.
+  async collectTranscript({ fileName = TRANSCRIPT_FILE } = {}) {
+    let messages = [];
+    try {
+      messages = await this.extractTranscript();
+    } catch (error) {
+      this.logWarn(`Could not extract transcript: ${error.message}`);
+    }
+    this.logInfo(`Transcript extracted: ${messages.length} message(s)`);
+
+    let validation = null;
+    const expected = loadExpectedTranscript(this.config.get('audioFile'), this.config.get('expectedTranscript'));
+    if (expected) {
+      validation = validateTranscript(expected.utterances, messages, {
+        matchThreshold: this.config.get('transcriptMatchThreshold'),
+      });
+      this.logInfo(`Transcript accuracy: ${validation.matchedCount}/${validation.expectedCount} utterances matched, WER ${validation.wer}`);
+    } else {
+      this.logInfo('No expected transcript for this audio file, skipping accuracy check');
+    }
+
+    try {
+      writeFileSync(getResultsPath(fileName, this.username), JSON.stringify({
+        extractedAt: new Date().toISOString(),
+        expectedFile: expected ? expected.filePath : null,
+        messages,
+        validation,
+      }, null, 2));
+    } catch (writeError) {
+      this.logWarn(`Could not write ${fileName}: ${writeError.message}`);
+    }
+
+    this.transcriptValidation = validation;
+    if (this.metrics && validation) {
+      const { utterances, ...summary } = validation;
+      this.metrics.attach('transcript', summary);
+    }
+    return { messages, validation };
+  }
+
+  // Fails the test when transcriptMaxWer is set and the collected transcript
+  // exceeds it; run at the end of the flow so the call is never left up
+  assertTranscriptAccuracy() {
+    const maxWer = this.config.get('transcriptMaxWer');
+    const validation = this.transcriptValidation;
+    if (maxWer === undefined || !validation) {
+      return;
+    }
+    if (validation.wer === null || validation.wer > maxWer) {
+      throw new TranscriptAccuracyError(validation.wer, maxWer);
+    }
+  }
+
+  // Before ending call, capture screenshots of call controls and transcripts
+  async captureTranscriptScreenshots() {
+    if (!this.config.screenshotsEnabled()) {
+      return;
+    }
+    this.logInfo('Capturing call controls and transcripts screenshots before ending call');
+
+    await this.screenshot('BeforeEndCall_CallControls.png');
+    if (await this.countMessages(ACCESSORS.customerFirstMessage, 'Customer') > 0) {
+      await this.screenshot('BeforeEndCall_CustomerMessages.png');
+    }
+    if (await this.countMessages(ACCESSORS.agentFirstMessage, 'Agent') > 0) {
+      await this.screenshot('BeforeEndCall_AgentMessages.png');
+    }
+    await this.screenshot('BeforeEndCall_Transcripts.png');
+  }
+
+  // ============================================================
+  // END CALL
+  // ============================================================
+  // openPanelFirst: outbound call controls only render inside the Omni-Channel panel
+  async clickEndCall({ openPanelFirst = false } = {}) {
+    const timeoutMs = this.config.get('ccasTimeout');
+    if (openPanelFirst) {
+      try {
+        await this.omniChannel.open({ timeout: 10000 });
+        await this.waitUntil('EndCallButtonShown', this.visible(ACCESSORS.endCallButton), { capMs: 1000 });
+        await this.screenshot('BeforeEndButton_CallControls.png');
+      } catch (error) {
+        this.logWarn(`Could not open Omni-Channel panel: ${error.message}`);
+      }
+    }
+
+    // EndCallButton policy: the Omni-Channel panel is reopened between attempts
+    try {
+      await this.retry('EndCallButton', async (attempt) => {
+        if (attempt > 1) await this.screenshot('BeforeEndButton_CallControls.png');
+        await this.xpath(ACCESSORS.endCallButton).waitFor({ state: 'visible', timeout: timeoutMs });
+        await this.xpath(ACCESSORS.endCallButton).click();
+        this.logInfo(`End call button found & clicked${attempt > 1 ? ` on attempt ${attempt}` : ''}`);
+      });
+      return true;
+    } catch (error) {
+      this.logWarn(`End call button not found or not clickable: ${error.message} - proceeding to close tab`);
+      return false;
+    }
+  }
+
+  // Close the latest VC voice call tab, confirming the End Call popup if shown
+  async closeVoiceCallTab() {
+    const timeoutMs = this.config.get('ccasTimeout');
+    try {
+      // Use .last() to get the most recent Close VC button
+      const closeVCButtons = this.xpath(ACCESSORS.closeVC);
+      await this.retry('CloseVoiceCallTab', async () => {
+        await closeVCButtons.last().waitFor({ state: 'visible', timeout: timeoutMs });
+        await closeVCButtons.last().click();
+      });
+      this.logInfo('Clicked Close VC button (latest)');
+
+      // Check if confirmation popup appears (or the tab closes straight away)
+      const tabsBefore = await closeVCButtons.count();
+      await this.waitUntil('CloseVoiceCallResponded', async () => await this.visible(ACCESSORS.endCallConfirmButton)()
+        || (await closeVCButtons.count()) < tabsBefore, { capMs: 1000 });
+      try {
+        await this.xpath(ACCESSORS.endCallConfirmButton).waitFor({ state: 'visible', timeout: 3000 });
+        await this.xpath(ACCESSORS.endCallConfirmButton).click();
+        this.logInfo('Confirmation popup appeared, clicked "End Call" button');
+      } catch (confirmError) {
+        this.logInfo('No confirmation popup appeared (call ended directly)');
+      }
+
+      this.logInfo('Ended the Voice Call');
+    } catch (error) {
+      this.logError(`Error closing voice call tab: ${error.message}`);
+      await this.failStep('CloseVoiceCallTab', error);
+      throw error;
+    }
+  }
+
+  // Keeps the call up for callWaitTime, then ends it and closes the VC- tab.
+  // callWaitTime is the scripted talk time, not a wait for the UI, so it
+  // stays a fixed delay.
+  async endCall({ screenshotName = 'EndingCallTHB.png', beforeEnd, openPanelFirst = false } = {}) {
+    const callWaitTime = this.config.get('callWaitTime');
+    this.startStep('EndCall');
+
+    this.logInfo('📞 Step: Ending call');
+    this.logInfo(`Waiting for ${callWaitTime}ms`);
+    await delay(callWaitTime);
+
+    if (beforeEnd) {
+      await beforeEnd();
+    }
+
+    await this.clickEndCall({ openPanelFirst });
+    await this.closeVoiceCallTab();
+    await this.screenshot(screenshotName);
+
+    // The console is done with the call once no end-call confirmation or backdrop is left
+    await this.waitUntil('CallWrappedUp', async () => !(await this.visible(ACCESSORS.endCallConfirmButton)())
+      && !(await this.cssVisible(ACCESSORS.backdrop)()), { capMs: this.config.get('defaultTimeout') });
+  }
+}
@@ -0,0 +1,172 @@
+import { writeFileSync } from 'fs';
+import { delay } from './browser.js';
+import { getResultsPath } from './results.js';
+import { log } from './logger.js';
+
+// ============================================================
+// REMOTE AUDIO RECORDING
+// ============================================================
+// Records what the agent hears: a MediaRecorder on every live inbound audio
+// track of the peer connections tracked by WebRTCStatsCollector. Chunks are
+// pushed to Node through an exposed binding as they are produced, so the
+// recording survives the call tearing down its peer connection. Saved as
+// remote-audio.webm (Opus) next to the screenshots.
+
+export const REMOTE_AUDIO_FILE = 'remote-audio.webm';
+const BINDING_NAME = '__ccasReportRemoteAudio';
+
+// Runs inside each frame: starts a recorder per live inbound audio track not
+// already being recorded; returns the number of recorders started. A track
+// whose recorder has stopped (an earlier call of a soak run) is recorded again.
+function startRecorders({ bindingName, timesliceMs }) {
+  window.__ccasRecorders = window.__ccasRecorders || [];
+  const recorded = new Set(window.__ccasRecorders.filter((r) => r.recorder.state !== 'inactive').map((r) => r.trackId));
+  const tracks = (window.__ccasPeerConnections || [])
+    .flatMap((pc) => pc.getReceivers().map((receiver) => receiver.track))
+    .filter((track) => track && track.kind === 'audio' && track.readyState === 'live' && !recorded.has(track.id));
+
+  const mimeType = ['audio/webm;codecs=opus', 'audio/webm'].find((type) => MediaRecorder.isTypeSupported(type));
+  for (const track of tracks) {
+    const recorder = new MediaRecorder(new MediaStream([track]), mimeType ? { mimeType } : undefined);
+    const report = (event) => {
+      try {
+        window[bindingName]({ ...event, id: track.id, t: Date.now() });
+      } catch (error) {
+        // Binding unavailable (e.g. page closing): drop the chunk
+      }
+    };
+    // Chained so chunks reach Node in order even though encoding is async
+    let queue = Promise.resolve();
+    recorder.ondataavailable = (event) => {
+      if (!event.data.size) return;
+      queue = queue.then(async () => {
+        const bytes = new Uint8Array(await event.data.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+          binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        report({ type: 'chunk', mimeType: recorder.mimeType, data: btoa(binary) });
+      });
+    };
+    recorder.onstop = () => {
+      queue = queue.then(() => report({ type: 'stopped' }));
+    };
+    recorder.start(timesliceMs);
+    window.__ccasRecorders.push({ trackId: track.id, recorder });
+    report({ type: 'started', label: track.label });
+  }
+  return tracks.length;
+}
+
+// Runs inside each frame: stops the recorders that are still running
+function stopRecorders() {
+  const active = (window.__ccasRecorders || []).filter((r) => r.recorder.state !== 'inactive');
+  active.forEach((r) => r.recorder.stop());
+  return active.length;
+}
+
+// Runs inside each frame: forgets the recorders of the previous call
+function clearRecorders() {
+  const recorders = window.__ccasRecorders || [];
+  recorders.filter((r) => r.recorder.state !== 'inactive').forEach((r) => r.recorder.stop());
+  window.__ccasRecorders = [];
+  return recorders.length;
+}
+
+async function evaluateInFrames(page, fn, arg) {
+  let total = 0;
+  for (const frame of page.frames()) {
+    try {
+      total += await frame.evaluate(fn, arg);
+    } catch (error) {
+      // Frame detached or not scriptable: skip it
+    }
+  }
+  return total;
+}
+
+export class RemoteAudioRecorder {
+  // enabled=false turns every method into a no-op so flows can call it unconditionally
+  constructor({ enabled = true, timesliceMs = 1000 } = {}) {
+    this.enabled = enabled;
+    this.timesliceMs = timesliceMs;
+    this.recordings = new Map();
+  }
+
+  async install(context) {
+    if (!this.enabled) return;
+    await context.exposeBinding(BINDING_NAME, (source, event) => {
+      if (!this.recordings.has(event.id)) {
+        this.recordings.set(event.id, { chunks: [], mimeType: null, label: null, startedAt: event.t, stoppedAt: null });
+      }
+      const recording = this.recordings.get(event.id);
+      if (event.type === 'started') {
+        recording.label = event.label;
+      } else if (event.type === 'chunk') {
+        recording.mimeType = event.mimeType;
+        recording.chunks.push(Buffer.from(event.data, 'base64'));
+      } else if (event.type === 'stopped') {
+        recording.stoppedAt = event.t;
+      }
+    });
+  }
+
+  // Call right after Accept or Call is clicked (BasePage.startRemoteAudio);
+  // waits for the remote track to appear
+  async start(page, { timeoutMs = 10000, pollMs = 500 } = {}) {
+    if (!this.enabled) return 0;
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < timeoutMs) {
+      const started = await evaluateInFrames(page, startRecorders, { bindingName: BINDING_NAME, timesliceMs: this.timesliceMs });
+      if (started) {
+        log.info(`🎧 Recording ${started} remote audio track(s)`);
+        return started;
+      }
+      await delay(pollMs);
+    }
+    log.warn(`⚠️ No live remote audio track found after ${timeoutMs}ms: nothing to record`);
+    return 0;
+  }
+
+  // Forgets the tracks recorded so far, in Node and in every frame, before
+  // the next call of a soak run
+  async reset(page) {
+    if (this.enabled) await evaluateInFrames(page, clearRecorders);
+    this.recordings.clear();
+  }
+
+  // Stops the recorders (if the call has not already ended them), waits for
+  // the final chunks and writes one file per track; returns a summary
+  async save(page, username, { timeoutMs = 5000, fileName: baseName = REMOTE_AUDIO_FILE } = {}) {
+    if (!this.enabled) return null;
+    await evaluateInFrames(page, stopRecorders);
+    const waitStart = Date.now();
+    while ([...this.recordings.values()].some((r) => !r.stoppedAt) && Date.now() - waitStart < timeoutMs) {
+      await delay(200);
+    }
+
+    const files = [];
+    [...this.recordings.values()].forEach((recording, index) => {
+      const fileName = index === 0 ? baseName : baseName.replace('.webm', `-${index + 1}.webm`);
+      const audio = Buffer.concat(recording.chunks);
+      const entry = {
+        file: fileName,
+        label: recording.label,
+        mimeType: recording.mimeType,
+        bytes: audio.length,
+        durationMs: (recording.stoppedAt || Date.now()) - recording.startedAt,
+        complete: Boolean(recording.stoppedAt),
+      };
+      try {
+        writeFileSync(getResultsPath(fileName, username), audio);
+        files.push(entry);
+      } catch (writeError) {
+        log.warn(`Could not write ${fileName}: ${writeError.message}`);
+      }
+    });
+
+    const totalBytes = files.reduce((sum, f) => sum + f.bytes, 0);
+    log.info(`Remote audio recorded: ${files.length} track(s), ${totalBytes} bytes`);
+    return { files };
+  }
+}
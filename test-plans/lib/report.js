@@ -0,0 +1,530 @@
+import { readdirSync, readFileSync, existsSync, statSync } from 'fs';
+import { join } from 'path';
+import { EPT_FILE, CALL_QUALITY_FILE } from './metrics.js';
+import { WAITS_FILE } from './waits.js';
+import { RETRIES_FILE } from './retry.js';
+import { NETWORK_FILE } from './network-timing.js';
+import { BROWSER_CONSOLE_FILE } from './browser-console.js';
+import { FAILURES_FILE, FAILURE_CLASSES } from './failure-taxonomy.js';
+import { parseSla, evaluateSla } from './sla.js';
+
+// ============================================================
+// AGGREGATE EPT REPORT
+// ============================================================
+// Combines the ept.jsonl files written by every virtual user of a run into
+// per-step statistics. Duration statistics only use passed samples: a failed
+// step's duration is time-to-failure, not an EPT.
+
+export const PERCENTILES = [50, 90, 95, 99];
+
+// Finds <root>/*/<fileName> plus <root>/*_<fileName> (the flat fallback used
+// when a per-user folder could not be created)
+export function collectJsonl(resultsRoot, fileName) {
+  if (!existsSync(resultsRoot)) {
+    return [];
+  }
+  const files = [];
+  for (const name of readdirSync(resultsRoot)) {
+    const path = join(resultsRoot, name);
+    if (statSync(path).isDirectory()) {
+      const filePath = join(path, fileName);
+      if (existsSync(filePath)) files.push(filePath);
+    } else if (name.endsWith(`_${fileName}`)) {
+      files.push(path);
+    }
+  }
+
+  const records = [];
+  for (const file of files) {
+    const lines = readFileSync(file, 'utf8').split('\n').filter((line) => line.trim());
+    for (const line of lines) {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`⚠️ Skipping malformed line in ${file}: ${error.message}`);
+      }
+    }
+  }
+  return records;
+}
+
+export const collectEptRecords = (resultsRoot) => collectJsonl(resultsRoot, EPT_FILE);
+export const collectCallQualityRecords = (resultsRoot) => collectJsonl(resultsRoot, CALL_QUALITY_FILE);
+export const collectWaitRecords = (resultsRoot) => collectJsonl(resultsRoot, WAITS_FILE);
+export const collectRetryRecords = (resultsRoot) => collectJsonl(resultsRoot, RETRIES_FILE);
+export const collectNetworkRecords = (resultsRoot) => collectJsonl(resultsRoot, NETWORK_FILE);
+export const collectConsoleRecords = (resultsRoot) => collectJsonl(resultsRoot, BROWSER_CONSOLE_FILE);
+export const collectFailureRecords = (resultsRoot) => collectJsonl(resultsRoot, FAILURES_FILE);
+
+// Nearest-rank percentile of an ascending array
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+export function summarizeDurations(durations) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const stats = {
+    min: sorted.length ? sorted[0] : null,
+    avg: sorted.length ? Math.round(sorted.reduce((sum, d) => sum + d, 0) / sorted.length) : null,
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+  };
+  for (const p of PERCENTILES) {
+    stats[`p${p}`] = percentile(sorted, p);
+  }
+  return stats;
+}
+
+export function aggregateSteps(records) {
+  const byStep = new Map();
+  for (const record of records) {
+    if (!byStep.has(record.step)) byStep.set(record.step, []);
+    byStep.get(record.step).push(record);
+  }
+
+  return [...byStep.entries()].map(([step, stepRecords]) => {
+    const passed = stepRecords.filter((r) => r.outcome === 'passed');
+    return {
+      step,
+      count: stepRecords.length,
+      passed: passed.length,
+      failed: stepRecords.length - passed.length,
+      // Retries taken inside the step's samples (retry.js)
+      retries: stepRecords.reduce((sum, r) => sum + (r.retries || 0), 0),
+      successRate: passed.length / stepRecords.length,
+      users: new Set(stepRecords.map((r) => `${r.username}:${r.pid}`)).size,
+      ...summarizeDurations(passed.map((r) => r.durationMs)),
+    };
+  });
+}
+
+// The sla.* budgets of every script in a workload, each checked against the
+// samples of that script only: steps such as Login and EndCall are shared by
+// the inbound and outbound flows, whose budgets may differ. A script listed
+// in several tasks must give each budget the same value.
+export function evaluateWorkloadSla(workload, records) {
+  const byScript = new Map();
+  for (const task of workload.tasks || []) {
+    for (const script of task.scripts || []) {
+      const sla = byScript.get(script.script_name) || {};
+      for (const [step, budgets] of Object.entries(parseSla(script.arguments || {}))) {
+        for (const [stat, budget] of Object.entries(budgets)) {
+          if (sla[step]?.[stat] !== undefined && sla[step][stat] !== budget) {
+            throw new Error(`Conflicting SLA budgets for ${script.script_name}: sla.${step}.${stat} is both ${sla[step][stat]} and ${budget}`);
+          }
+          sla[step] = { ...sla[step], [stat]: budget };
+        }
+      }
+      byScript.set(script.script_name, sla);
+    }
+  }
+
+  const results = [];
+  for (const [script, sla] of byScript) {
+    const rows = aggregateSteps(records.filter((r) => r.script === script));
+    results.push(...evaluateSla(sla, rows).map((result) => ({ script, ...result })));
+  }
+  return results;
+}
+
+// One row per call type; calls without inbound RTP (mos null) count as unscored
+export function aggregateCallQuality(records) {
+  const byCall = new Map();
+  for (const record of records) {
+    if (!byCall.has(record.callStep)) byCall.set(record.callStep, []);
+    byCall.get(record.callStep).push(record);
+  }
+
+  const mean = (values) => (values.length ? Number((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2)) : null);
+  return [...byCall.entries()].map(([callStep, callRecords]) => {
+    const scored = callRecords.filter((r) => r.mos !== null && r.mos !== undefined);
+    const mos = scored.map((r) => r.mos).sort((a, b) => a - b);
+    return {
+      callStep,
+      calls: callRecords.length,
+      scored: scored.length,
+      mosMin: mos.length ? mos[0] : null,
+      mosP10: percentile(mos, 10),
+      mosP50: percentile(mos, 50),
+      mosAvg: mean(mos),
+      rFactorAvg: mean(scored.map((r) => r.rFactor)),
+      lossPercentAvg: mean(scored.map((r) => r.lossPercent)),
+      jitterMsAvg: mean(scored.map((r) => r.jitterMs)),
+      rttMsAvg: mean(scored.map((r) => r.rttMs)),
+    };
+  });
+}
+
+// One row per condition-based wait: time actually waited against its cap.
+// savedMsTotal is what the fixed sleep it replaced would have wasted.
+export function aggregateWaits(records) {
+  const byWait = new Map();
+  for (const record of records) {
+    if (!byWait.has(record.wait)) byWait.set(record.wait, []);
+    byWait.get(record.wait).push(record);
+  }
+
+  return [...byWait.entries()].map(([wait, waitRecords]) => {
+    const waited = waitRecords.map((r) => r.waitedMs).sort((a, b) => a - b);
+    const capMs = Math.max(...waitRecords.map((r) => r.capMs));
+    const timeouts = waitRecords.filter((r) => r.outcome === 'timeout').length;
+    const p95 = percentile(waited, 95);
+    return {
+      wait,
+      count: waitRecords.length,
+      timeouts,
+      timeoutRate: timeouts / waitRecords.length,
+      capMs,
+      p50: percentile(waited, 50),
+      p95,
+      max: waited[waited.length - 1],
+      capUsed: p95 / capMs,
+      savedMsTotal: waitRecords.reduce((sum, r) => sum + Math.max(r.capMs - r.waitedMs, 0), 0),
+    };
+  }).sort((a, b) => b.savedMsTotal - a.savedMsTotal);
+}
+
+// One row per retry policy and step: retries taken, how often every attempt
+// failed, the recovery actions run (failed ones counted apart) and the most
+// frequent error
+export function aggregateRetries(records) {
+  const byKey = new Map();
+  for (const record of records) {
+    const key = `${record.retry}\u0000${record.step}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(record);
+  }
+
+  const tally = (values) => {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  };
+  return [...byKey.values()].map((retryRecords) => {
+    const recoveries = retryRecords.flatMap((r) => r.recoveries || []);
+    const [topError] = tally(retryRecords.map((r) => r.error).filter(Boolean));
+    return {
+      retry: retryRecords[0].retry,
+      step: retryRecords[0].step,
+      retries: retryRecords.filter((r) => r.outcome === 'retried').length,
+      exhausted: retryRecords.filter((r) => r.outcome === 'exhausted').length,
+      users: new Set(retryRecords.map((r) => `${r.username}:${r.pid}`)).size,
+      recoveries: tally(recoveries.map((r) => r.action)).map(([action, count]) => `${action}:${count}`).join(' '),
+      recoveryFailures: recoveries.filter((r) => r.outcome === 'failed').length,
+      error: topError ? topError[0] : null,
+    };
+  }).sort((a, b) => (b.retries + b.exhausted) - (a.retries + a.exhausted));
+}
+
+// One row per step, category and action: how many calls, their server time
+// (time to first byte) and payload sizes. Static resources ('other') are
+// left out unless includeOther is set.
+export function aggregateNetwork(records, { includeOther = false } = {}) {
+  const byKey = new Map();
+  for (const record of records) {
+    if (record.category === 'other' && !includeOther) continue;
+    for (const action of record.actions || []) {
+      const key = `${record.step}\u0000${record.category}\u0000${action}`;
+      if (!byKey.has(key)) byKey.set(key, { step: record.step, category: record.category, action, records: [] });
+      byKey.get(key).records.push(record);
+    }
+  }
+
+  const mean = (values) => (values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+  const numbers = (values) => values.filter((v) => typeof v === 'number' && v >= 0);
+  return [...byKey.values()].map(({ step, category, action, records: actionRecords }) => {
+    const server = numbers(actionRecords.map((r) => r.serverMs)).sort((a, b) => a - b);
+    return {
+      step,
+      category,
+      action,
+      count: actionRecords.length,
+      failed: actionRecords.filter((r) => r.outcome === 'failed').length,
+      serverMsP50: percentile(server, 50),
+      serverMsP95: percentile(server, 95),
+      serverMsMax: server.length ? server[server.length - 1] : null,
+      serverMsTotal: server.reduce((sum, v) => sum + v, 0),
+      durationMsAvg: mean(numbers(actionRecords.map((r) => r.durationMs))),
+      requestBytesAvg: mean(numbers(actionRecords.map((r) => r.requestBytes))),
+      responseBytesAvg: mean(numbers(actionRecords.map((r) => r.responseBytes))),
+    };
+  }).sort((a, b) => a.step.localeCompare(b.step) || b.serverMsTotal - a.serverMsTotal);
+}
+
+// The failures of one run: `run` when given ('all' for every run), else the
+// run of the most recent failure. Failures written without a run id (FPSx,
+// where /results holds one run) count as one run.
+export function selectRunFailures(records, run = null) {
+  if (run === 'all' || !records.length) return { run, records };
+  const runOf = (record) => record.run || null;
+  const selected = run ?? runOf(records.reduce((latest, record) => (record.time > latest.time ? record : latest)));
+  return { run: selected, records: records.filter((record) => runOf(record) === selected) };
+}
+
+// Failures per class for the run, every class of the taxonomy listed (zero
+// counts included) so runs compare row for row; share is of all failures
+export function aggregateFailures(records) {
+  const rows = Object.values(FAILURE_CLASSES).map(({ id, origin, description }) => {
+    const matching = records.filter((record) => record.failureClass === id);
+    return {
+      failureClass: id,
+      origin,
+      count: matching.length,
+      share: records.length ? matching.length / records.length : null,
+      users: new Set(matching.map((record) => `${record.username}:${record.pid}`)).size,
+      steps: [...new Set(matching.map((record) => record.step))].join(' '),
+      description,
+    };
+  });
+  return rows.sort((a, b) => b.count - a.count);
+}
+
+// Failure count per origin (platform / script / unknown)
+export function failuresByOrigin(failureRows) {
+  const totals = {};
+  for (const row of failureRows) totals[row.origin] = (totals[row.origin] || 0) + row.count;
+  return totals;
+}
+
+export const FAILURE_COLUMNS = ['failureClass', 'origin', 'count', 'share', 'users', 'steps', 'description'];
+
+// Browser console entries kept by level (e.g. ['error', 'warning']) and/or
+// whose text matches `match` (a RegExp or pattern string); both optional
+export function filterConsole(records, { levels = null, match = null } = {}) {
+  const pattern = typeof match === 'string' ? new RegExp(match, 'i') : match;
+  return records.filter((record) => (!levels || levels.includes(record.level))
+    && (!pattern || pattern.test(record.text || '')));
+}
+
+// Ids, numbers and query strings vary per call: strip them so the same
+// message from every user groups together
+export const normalizeMessage = (text) => String(text || '')
+  .replace(/\?[^\s"']*/g, '?…')
+  .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+  .replace(/\b[0-9a-zA-Z]{15}(?:[0-9a-zA-Z]{3})?\b/g, (id) => (/\d/.test(id) && /[a-zA-Z]/.test(id) ? '<id>' : id))
+  .replace(/\d+/g, 'N')
+  .slice(0, 300);
+
+// Entry count per kind and level, most severe first
+export function aggregateConsoleSeverity(records) {
+  const rank = { error: 0, assert: 0, warning: 1, info: 2, log: 3, debug: 4 };
+  const byKey = new Map();
+  for (const record of records) {
+    const key = `${record.kind}\u0000${record.level}`;
+    if (!byKey.has(key)) byKey.set(key, { kind: record.kind, level: record.level, count: 0, users: new Set() });
+    const row = byKey.get(key);
+    row.count++;
+    row.users.add(record.username);
+  }
+  return [...byKey.values()]
+    .map((row) => ({ ...row, users: row.users.size }))
+    .sort((a, b) => (rank[a.level] ?? 5) - (rank[b.level] ?? 5) || b.count - a.count);
+}
+
+// One row per distinct (normalized) message, most frequent first
+export function aggregateConsole(records) {
+  const byKey = new Map();
+  for (const record of records) {
+    const message = normalizeMessage(record.text);
+    const key = `${record.kind}\u0000${record.level}\u0000${message}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, { kind: record.kind, level: record.level, message, count: 0, users: new Set(), firstSeen: record.t, lastSeen: record.t, example: record.text });
+    }
+    const row = byKey.get(key);
+    row.count++;
+    row.users.add(record.username);
+    if (record.t < row.firstSeen) row.firstSeen = record.t;
+    if (record.t > row.lastSeen) row.lastSeen = record.t;
+  }
+  return [...byKey.values()]
+    .map((row) => ({ ...row, users: row.users.size }))
+    .sort((a, b) => b.count - a.count);
+}
+
+export const CONSOLE_COLUMNS = ['kind', 'level', 'message', 'count', 'users', 'firstSeen', 'lastSeen', 'example'];
+
+export const CONSOLE_SEVERITY_COLUMNS = ['kind', 'level', 'count', 'users'];
+
+export const NETWORK_COLUMNS = ['step', 'category', 'action', 'count', 'failed', 'serverMsP50', 'serverMsP95', 'serverMsMax', 'serverMsTotal', 'durationMsAvg', 'requestBytesAvg', 'responseBytesAvg'];
+
+export const RETRY_COLUMNS = ['retry', 'step', 'retries', 'exhausted', 'users', 'recoveries', 'recoveryFailures', 'error'];
+
+export const WAIT_COLUMNS = ['wait', 'count', 'timeouts', 'timeoutRate', 'capMs', 'p50', 'p95', 'max', 'capUsed', 'savedMsTotal'];
+
+export const CALL_QUALITY_COLUMNS = ['callStep', 'calls', 'scored', 'mosMin', 'mosP10', 'mosP50', 'mosAvg', 'rFactorAvg', 'lossPercentAvg', 'jitterMsAvg', 'rttMsAvg'];
+
+export const REPORT_COLUMNS = ['step', 'count', 'passed', 'failed', 'retries', 'successRate', 'users', 'min', 'avg', 'p50', 'p90', 'p95', 'p99', 'max'];
+
+const formatCell = (column, value) => {
+  if (value === null || value === undefined) return '';
+  if (['successRate', 'timeoutRate', 'capUsed', 'share'].includes(column)) return `${(value * 100).toFixed(1)}%`;
+  return String(value);
+};
+
+export function toCsv(rows, columns = REPORT_COLUMNS) {
+  const escape = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escape(formatCell(column, row[column]))).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function slaTableHtml(slaResults) {
+  if (!slaResults.length) return '';
+  const body = slaResults.map((r) => `<tr class="${r.passed ? 'sla-pass' : 'sla-fail'}">`
+    + `<td>${escapeHtml(r.script)}</td><td>${escapeHtml(r.step)}</td><td>${escapeHtml(r.stat)}</td>`
+    + `<td>${escapeHtml(formatCell(r.stat, r.budget))}</td><td>${escapeHtml(formatCell(r.stat, r.actual))}</td>`
+    + `<td>${r.passed ? 'PASS' : 'FAIL'}</td></tr>`).join('\n');
+  return `<h2>SLA</h2>
+<table>
+<thead><tr><th>script</th><th>step</th><th>stat</th><th>budget</th><th>actual</th><th>result</th></tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+`;
+}
+
+function callQualityTableHtml(qualityRows) {
+  if (!qualityRows.length) return '';
+  const header = CALL_QUALITY_COLUMNS.map((column) => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = qualityRows.map((row) => `<tr>${CALL_QUALITY_COLUMNS.map((column) => `<td>${escapeHtml(formatCell(column, row[column]))}</td>`).join('')}</tr>`).join('\n');
+  return `<h2>Call quality (E-model MOS)</h2>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+`;
+}
+
+function retryTableHtml(retryRows) {
+  if (!retryRows.length) return '';
+  const header = RETRY_COLUMNS.map((column) => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = retryRows.map((row) => {
+    const rowClass = row.exhausted > 0 ? ' class="has-failures"' : '';
+    return `<tr${rowClass}>${RETRY_COLUMNS.map((column) => `<td>${escapeHtml(formatCell(column, row[column]))}</td>`).join('')}</tr>`;
+  }).join('\n');
+  return `<h2>Retries (declared retry policies)</h2>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+`;
+}
+
+function waitTableHtml(waitRows) {
+  if (!waitRows.length) return '';
+  const header = WAIT_COLUMNS.map((column) => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = waitRows.map((row) => {
+    const rowClass = row.timeouts > 0 ? ' class="has-failures"' : '';
+    return `<tr${rowClass}>${WAIT_COLUMNS.map((column) => `<td>${escapeHtml(formatCell(column, row[column]))}</td>`).join('')}</tr>`;
+  }).join('\n');
+  return `<h2>Waits (time waited against cap)</h2>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+`;
+}
+
+// Top rows per step only: the full breakdown is in network-report.csv
+function networkTableHtml(networkRows, { perStep = 10 } = {}) {
+  if (!networkRows.length) return '';
+  const shown = networkRows.filter((row, index) => networkRows.slice(0, index).filter((r) => r.step === row.step).length < perStep);
+  const header = NETWORK_COLUMNS.map((column) => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = shown.map((row) => {
+    const rowClass = row.failed > 0 ? ' class="has-failures"' : '';
+    return `<tr${rowClass}>${NETWORK_COLUMNS.map((column) => `<td>${escapeHtml(formatCell(column, row[column]))}</td>`).join('')}</tr>`;
+  }).join('\n');
+  return `<h2>Network by step (top ${perStep} actions by total server time)</h2>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+`;
+}
+
+// Only classes that occurred; failure-report.csv lists every class
+function failureTableHtml(failureRows, run) {
+  const occurred = failureRows.filter((row) => row.count > 0);
+  if (!occurred.length) return '';
+  const totals = failuresByOrigin(occurred);
+  const scope = run === 'all' ? ' in every run' : run ? ` in ${escapeHtml(run)}` : '';
+  const header = FAILURE_COLUMNS.map((column) => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = occurred.map((row) => `<tr>${FAILURE_COLUMNS.map((column) => `<td>${escapeHtml(formatCell(column, row[column]))}</td>`).join('')}</tr>`).join('\n');
+  return `<h2>Failures by class${scope} (${Object.entries(totals).map(([origin, count]) => `${escapeHtml(origin)}: ${count}`).join(', ')})</h2>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+`;
+}
+
+// Severity counts plus the most frequent messages; every message is in console-report.csv
+function consoleTableHtml(severityRows, consoleRows, { top = 25 } = {}) {
+  if (!severityRows.length) return '';
+  const table = (columns, tableRows) => `<table>
+<thead><tr>${columns.map((column) => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+<tbody>
+${tableRows.map((row) => `<tr>${columns.map((column) => `<td>${escapeHtml(formatCell(column, row[column]))}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+`;
+  return `<h2>Browser console by severity</h2>
+${table(CONSOLE_SEVERITY_COLUMNS, severityRows)}<h2>Most frequent browser console messages (top ${top})</h2>
+${table(['kind', 'level', 'message', 'count', 'users'], consoleRows.slice(0, top))}`;
+}
+
+export function toHtml(rows, { title = 'CCAS EPT Report', generatedAt = new Date(), resultsRoot = '', recordCount = 0, slaResults = [], qualityRows = [], waitRows = [], networkRows = [], consoleSeverityRows = [], consoleRows = [], failureRows = [], failureRun = null, retryRows = [] } = {}) {
+  const header = REPORT_COLUMNS.map((column) => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = rows.map((row) => {
+    const cells = REPORT_COLUMNS.map((column) => `<td>${escapeHtml(formatCell(column, row[column]))}</td>`).join('');
+    const rowClass = row.failed > 0 ? ' class="has-failures"' : '';
+    return `<tr${rowClass}>${cells}</tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  tr.has-failures td:nth-child(4), tr.sla-fail td:last-child { color: #c23934; font-weight: bold; }
+  tr.sla-pass td:last-child { color: #2e844a; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(generatedAt.toISOString())} from ${recordCount} records under <code>${escapeHtml(resultsRoot)}</code>. Durations in ms, passed samples only.</p>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+${failureTableHtml(failureRows, failureRun)}${retryTableHtml(retryRows)}${callQualityTableHtml(qualityRows)}${networkTableHtml(networkRows)}${waitTableHtml(waitRows)}${consoleTableHtml(consoleSeverityRows, consoleRows)}${slaTableHtml(slaResults)}</body>
+</html>
+`;
+}
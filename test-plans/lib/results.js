@@ -0,0 +1,76 @@
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { existsSync, mkdirSync } from 'fs';
+import { pid } from 'process';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const REPO_ROOT = resolve(__dirname, '..', '..');
+
+// Use absolute path /results/ for FPSx (as shown in FPSx sample code)
+const FPSX_RESULTS_PATH = '/results';
+
+// Root holding every user's results folder: /results under FPSx, ./results locally
+export const getResultsRoot = () => (existsSync(FPSX_RESULTS_PATH) ? FPSX_RESULTS_PATH : resolve(REPO_ROOT, 'results'));
+
+// Names the run (one `playwright test` invocation, or one workload run) in
+// the records every user writes, so a report can tell it from earlier runs
+// kept in the same results folder. Under FPSx /results holds a single run
+// and each virtual user is its own Playwright process, so no id is set there.
+export const RUN_ID_ENV = 'CCAS_RUN_ID';
+
+export const getRunId = () => process.env[RUN_ID_ENV] || null;
+
+// Called once from playwright.config.js; workers inherit the id
+export function startRun() {
+  if (!process.env[RUN_ID_ENV] && !existsSync(FPSX_RESULTS_PATH)) {
+    process.env[RUN_ID_ENV] = `run-${Date.now()}`;
+  }
+  return getRunId();
+}
+
+// Cache the base directory per test run (one per worker process)
+let resultsBaseDir = null;
+
+// Helper function to get a per-user results path (screenshots, metrics) with username and unique identifier
+// FPSx pattern: await page.screenshot({ path: '/results/screenshot.png' });
+// For parallel runs, we include username and process ID to make paths unique per test instance
+export const getResultsPath = (filename, username = 'unknown') => {
+  // Extract username part before @ for cleaner folder names
+  const usernamePart = (username || 'unknown').split('@')[0];
+
+  // Create unique identifier for parallel runs: username_processID_timestamp
+  if (!resultsBaseDir) {
+    resultsBaseDir = `${usernamePart}_${pid}_${Date.now()}`;
+  }
+
+  const userResultsDir = `${FPSX_RESULTS_PATH}/${resultsBaseDir}`;
+
+  // In FPSx Docker environment, /results/ already exists
+  if (!existsSync(FPSX_RESULTS_PATH)) {
+    try {
+      mkdirSync(FPSX_RESULTS_PATH, { recursive: true });
+    } catch (error) {
+      // If we can't create /results/ (e.g., permission denied on local machine), fallback to local directory
+      const localUserDir = resolve(REPO_ROOT, 'results', resultsBaseDir);
+      if (!existsSync(localUserDir)) {
+        mkdirSync(localUserDir, { recursive: true });
+      }
+      return resolve(localUserDir, filename);
+    }
+  }
+
+  if (!existsSync(userResultsDir)) {
+    try {
+      mkdirSync(userResultsDir, { recursive: true });
+    } catch (error) {
+      // If can't create user dir, fallback to root results with unique identifier in filename
+      return `${FPSX_RESULTS_PATH}/${resultsBaseDir}_${filename}`;
+    }
+  }
+
+  // Return path: /results/username_pid_timestamp/filename.png
+  return `${userResultsDir}/${filename}`;
+};
+
+export const getScreenshotPath = getResultsPath;
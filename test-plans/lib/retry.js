@@ -0,0 +1,156 @@
+import { appendFileSync } from 'fs';
+import { pid } from 'process';
+import { getResultsPath } from './results.js';
+import { ACCESSORS, LOGIN_ACCESSORS } from './accessors.js';
+import { delay } from './browser.js';
+import { log, getLogContext } from './logger.js';
+
+// ============================================================
+// RETRY AND RECOVERY POLICIES
+// ============================================================
+// Flaky UI actions are retried under a declared policy instead of loops and
+// fallbacks written into each step. A policy gives the number of attempts,
+// the pause before each retry (backoffMs, multiplied by backoffFactor after
+// every retry) and the recovery actions run before the next attempt:
+//
+//   dismissBackdrop     press Escape and wait for any modal backdrop to go
+//   reopenUtilityPanel  click the Omni-Channel utility bar button until its
+//                       panel shows (a second click if the first minimized it)
+//   reloadWorkspace     reload the console and wait for it to load again
+//
+// Policies are for real failures only: an expected alternative (e.g. the two
+// labels of the utility bar button) is resolved inside one attempt.
+//
+// Every failed attempt appends one line to retries.jsonl (action, step,
+// attempt, error, recoveries run, retried or exhausted) and every retry is
+// counted on the EPT record of the step it happened in, so a step that only
+// passed on a later attempt is not reported as a clean sample.
+
+export const RETRIES_FILE = 'retries.jsonl';
+
+export const RECOVERY_ACTIONS = {
+  async dismissBackdrop(pageObject) {
+    await pageObject.page.keyboard.press('Escape');
+    await pageObject.waitUntil('BackdropDismissed', async () => !(await pageObject.cssVisible(ACCESSORS.backdrop)()), { capMs: 2000 });
+  },
+
+  async reopenUtilityPanel(pageObject) {
+    const panelShown = async () => await pageObject.cssVisible(ACCESSORS.statusDropDown)()
+      || pageObject.visible(ACCESSORS.muteButton)();
+    const button = pageObject.xpath(ACCESSORS.omniChannelOnline).or(pageObject.xpath(ACCESSORS.omniChannel)).first();
+    for (let click = 1; click <= 2; click++) {
+      await button.click({ timeout: 5000 });
+      if (await pageObject.waitUntil('UtilityPanelReopened', panelShown, { capMs: 2000 })) return;
+    }
+    throw new Error('Omni-Channel panel did not open');
+  },
+
+  async reloadWorkspace(pageObject) {
+    const timeout = pageObject.config.get('loginWaitTimeout');
+    await pageObject.page.reload({ waitUntil: 'domcontentloaded', timeout });
+    await pageObject.waitUntil('WorkspaceReloaded', pageObject.cssVisible(LOGIN_ACCESSORS.appLauncher), { capMs: timeout });
+  },
+};
+
+export const RETRY_POLICIES = {
+  // The panel with the status dropdown, before going Offline after a call
+  OpenStatusPanel: { attempts: 3, backoffMs: 500, recover: ['dismissBackdrop'] },
+  // Presence to Available: a console that lost its utility bar is reloaded
+  SetPresenceOnline: { attempts: 2, backoffMs: 1000, recover: ['dismissBackdrop', 'reloadWorkspace'] },
+  // Accept on a routed call: toasts and modals can sit over it
+  AcceptCall: { attempts: 3, backoffMs: 250, backoffFactor: 2, recover: ['dismissBackdrop'] },
+  // End Call: the call controls live in the Omni-Channel panel
+  EndCallButton: { attempts: 2, backoffMs: 0, recover: ['dismissBackdrop', 'reopenUtilityPanel'] },
+  // Close button of the VC- tab
+  CloseVoiceCallTab: { attempts: 2, backoffMs: 1000, recover: ['dismissBackdrop'] },
+};
+
+for (const [name, policy] of Object.entries(RETRY_POLICIES)) {
+  const unknown = (policy.recover || []).filter((action) => !RECOVERY_ACTIONS[action]);
+  if (unknown.length) throw new Error(`Retry policy ${name}: unknown recovery action(s) ${unknown.join(', ')}`);
+}
+
+// Runs action(attempt) under the policy `name` until it succeeds or the
+// attempts run out; the last attempt's error is rethrown. pageObject is the
+// BasePage the recovery actions work on; recorder (a RetryRecorder) and
+// metrics (a StepMetrics) are optional.
+export async function withRetry(name, action, { pageObject, policy = RETRY_POLICIES[name], recorder = null, metrics = null } = {}) {
+  if (!policy) throw new Error(`No retry policy named ${name}`);
+  const { attempts = 1, backoffMs = 0, backoffFactor = 1, recover = [] } = policy;
+  const { step = null } = getLogContext();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await action(attempt);
+      if (attempt > 1) log.info(`${name} succeeded on attempt ${attempt}/${attempts}`);
+      return result;
+    } catch (error) {
+      const exhausted = attempt >= attempts;
+      const recoveries = [];
+      if (!exhausted) {
+        for (const recovery of recover) {
+          try {
+            await RECOVERY_ACTIONS[recovery](pageObject);
+            recoveries.push({ action: recovery, outcome: 'done' });
+          } catch (recoveryError) {
+            recoveries.push({ action: recovery, outcome: 'failed', error: recoveryError.message });
+          }
+        }
+      }
+      if (recorder) recorder.record(name, { step, attempt, attempts, error, recoveries, outcome: exhausted ? 'exhausted' : 'retried' });
+      if (exhausted) {
+        log.warn(`${name} failed after ${attempts} attempt(s): ${error.message}`);
+        throw error;
+      }
+      if (metrics) metrics.countRetry(step);
+      const backoff = Math.round(backoffMs * backoffFactor ** (attempt - 1));
+      log.warn(`${name} attempt ${attempt}/${attempts} failed: ${error.message} - retrying${backoff ? ` in ${backoff}ms` : ''}`,
+        recoveries.length ? { recoveries } : undefined);
+      await delay(backoff);
+    }
+  }
+}
+
+export class RetryRecorder {
+  constructor({ username, script }) {
+    this.username = username || 'unknown';
+    this.script = script;
+    this.records = [];
+  }
+
+  record(name, { step, attempt, attempts, error, recoveries = [], outcome }) {
+    const { iteration } = getLogContext();
+    const entry = {
+      retry: name,
+      step,
+      ...(iteration && { iteration }),
+      script: this.script,
+      username: this.username,
+      pid,
+      time: new Date().toISOString(),
+      attempt,
+      attempts,
+      error: error ? error.message || String(error) : null,
+      recoveries,
+      outcome,
+    };
+    this.records.push(entry);
+    try {
+      appendFileSync(getResultsPath(RETRIES_FILE, this.username), `${JSON.stringify(entry)}\n`);
+    } catch (writeError) {
+      log.warn(`Could not write ${RETRIES_FILE}: ${writeError.message}`);
+    }
+    return entry;
+  }
+
+  // Per action: retries taken and how often every attempt failed
+  summarize() {
+    const byRetry = {};
+    for (const entry of this.records) {
+      const summary = byRetry[entry.retry] || { retries: 0, exhausted: 0 };
+      summary[entry.outcome === 'exhausted' ? 'exhausted' : 'retries']++;
+      byRetry[entry.retry] = summary;
+    }
+    return byRetry;
+  }
+}
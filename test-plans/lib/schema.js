@@ -0,0 +1,153 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { REPO_ROOT } from './results.js';
+
+// ============================================================
+// WORKLOAD SCHEMA
+// ============================================================
+// test-config/workload.schema.json describes the workload-metadata files and
+// every script argument the flows read. This is the small part of JSON Schema
+// that file uses (type, enum, pattern, minLength, minimum/maximum,
+// exclusiveMinimum, required, properties, patternProperties,
+// additionalProperties, items, minItems, local $ref), plus coercion: the
+// harness passes arguments as strings, so "10000" becomes 10000 and "false"
+// becomes false when the schema asks for a number or a boolean.
+
+export const WORKLOAD_SCHEMA_FILE = resolve(REPO_ROOT, 'test-config', 'workload.schema.json');
+
+let workloadSchema = null;
+export function loadWorkloadSchema() {
+  workloadSchema ??= JSON.parse(readFileSync(WORKLOAD_SCHEMA_FILE, 'utf8'));
+  return workloadSchema;
+}
+
+const TRUE_STRINGS = ['true', '1', 'yes', 'on'];
+const FALSE_STRINGS = ['false', '0', 'no', 'off'];
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value) => (type === 'number'
+  ? typeof value === 'number' && Number.isFinite(value)
+  : typeOf(value) === type);
+
+// Strings as passed through the environment, converted to the declared type;
+// anything that does not convert is left as is and fails the type check
+function coerce(type, value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  if (type === 'boolean') {
+    if (TRUE_STRINGS.includes(text.toLowerCase())) return true;
+    if (FALSE_STRINGS.includes(text.toLowerCase())) return false;
+  }
+  if ((type === 'number' || type === 'integer') && text !== '') {
+    const number = Number(text);
+    if (Number.isFinite(number) && (type === 'number' || Number.isInteger(number))) return number;
+  }
+  return value;
+}
+
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+};
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+// Returns { value, errors } where value has every coercible field converted
+// and errors lists each problem as { path, message }; never throws on bad input
+export function validate(schema, value, { root = schema, path = '' } = {}) {
+  if (schema.$ref) {
+    return validate(resolveRef(root, schema.$ref), value, { root, path });
+  }
+  const errors = [];
+  const at = path || '(root)';
+
+  if (schema.type) {
+    value = coerce(schema.type, value);
+    if (!matchesType(schema.type, value)) {
+      errors.push({ path: at, message: `expected ${schema.type}, got ${describe(value)}` });
+      return { value, errors };
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}, got ${describe(value)}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern}, got ${describe(value)}` });
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path: at, message: `must be > ${schema.exclusiveMinimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}, got ${value}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value = value.map((item, index) => {
+        const result = validate(schema.items, item, { root, path: `${path}[${index}]` });
+        errors.push(...result.errors);
+        return result.value;
+      });
+    }
+  } else if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+    }
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, sub]) => [new RegExp(pattern), sub]);
+    const output = {};
+    for (const [key, item] of Object.entries(value)) {
+      const keyPath = path ? `${path}.${key}` : key;
+      const sub = properties[key]
+        || patterns.find(([pattern]) => pattern.test(key))?.[1]
+        || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (!sub) {
+        if (schema.additionalProperties === false) errors.push({ path: keyPath, message: 'unknown key' });
+        output[key] = item;
+        continue;
+      }
+      const result = validate(sub, item, { root, path: keyPath });
+      errors.push(...result.errors);
+      output[key] = result.value;
+    }
+    value = output;
+  }
+  return { value, errors };
+}
+
+export const formatErrors = (errors) => errors.map((error) => `  - ${error.path}: ${error.message}`).join('\n');
+
+// Validates a parsed workload file; returns it with its arguments coerced and
+// throws one error listing every bad or unknown key
+export function validateWorkload(workload, source = 'workload') {
+  const { value, errors } = validate(loadWorkloadSchema(), workload);
+  if (errors.length) {
+    throw new Error(`Invalid ${source} (${errors.length} problem(s), see ${WORKLOAD_SCHEMA_FILE}):\n${formatErrors(errors)}`);
+  }
+  return value;
+}
+
+// The schema of each known script argument, by name
+export function argumentSchemas() {
+  const schema = loadWorkloadSchema();
+  return resolveRef(schema, '#/definitions/arguments');
+}
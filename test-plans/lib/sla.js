@@ -0,0 +1,84 @@
+// ============================================================
+// SLA BUDGETS
+// ============================================================
+// Per-step EPT budgets declared in the workload `arguments` block, either as
+// flat keys (the form FPSx passes through as environment variables):
+//
+//   "sla.AcceptingIncomingCallTHB.p95": "4000"
+//
+// or as a nested object: "sla": { "AcceptingIncomingCallTHB": { "p95": 4000 } }
+//
+// Duration stats (min, avg, pNN, max) are upper bounds in ms; successRate is a
+// lower bound between 0 and 1. A single test run only has one sample per step,
+// so it can only enforce `max`; the aggregate report enforces all of them.
+
+// Matches the columns produced by aggregateSteps in report.js
+export const SLA_STATS = ['min', 'avg', 'p50', 'p90', 'p95', 'p99', 'max', 'successRate'];
+
+const SLA_KEY = /^sla\.([^.]+)\.([^.]+)$/;
+
+export function parseSla(args = {}, env = process.env) {
+  const sla = {};
+  const add = (step, stat, value, source) => {
+    if (!SLA_STATS.includes(stat)) {
+      throw new Error(`Unknown SLA stat "${stat}" in ${source} (expected one of ${SLA_STATS.join(', ')})`);
+    }
+    const budget = Number(value);
+    if (value === '' || value === null || isNaN(budget)) {
+      throw new Error(`SLA budget ${source} must be a number, got "${value}"`);
+    }
+    sla[step] = { ...sla[step], [stat]: budget };
+  };
+
+  for (const [step, budgets] of Object.entries(args.sla || {})) {
+    for (const [stat, value] of Object.entries(budgets)) {
+      add(step, stat, value, `sla.${step}.${stat}`);
+    }
+  }
+  // Flat keys override nested ones; environment overrides the workload file
+  for (const source of [args, env]) {
+    for (const [key, value] of Object.entries(source)) {
+      const match = SLA_KEY.exec(key);
+      if (match) add(match[1], match[2], value, key);
+    }
+  }
+  return sla;
+}
+
+const isBreach = (stat, actual, budget) => (stat === 'successRate' ? actual < budget : actual > budget);
+
+// Checks one passed sample against the step's `max` budget
+export function checkSample(sla, step, durationMs) {
+  const budget = sla[step]?.max;
+  if (budget === undefined || !isBreach('max', durationMs, budget)) {
+    return null;
+  }
+  return { step, stat: 'max', budget, actual: durationMs };
+}
+
+// Checks aggregated report rows (see aggregateSteps) against every budget
+export function evaluateSla(sla, rows) {
+  const results = [];
+  for (const [step, budgets] of Object.entries(sla)) {
+    const row = rows.find((r) => r.step === step);
+    for (const [stat, budget] of Object.entries(budgets)) {
+      const actual = row ? row[stat] : null;
+      // A step with no passed samples breaches every budget
+      const passed = actual !== null && actual !== undefined && !isBreach(stat, actual, budget);
+      results.push({ step, stat, budget, actual, passed });
+    }
+  }
+  return results;
+}
+
+export const formatBreach = ({ step, stat, budget, actual }) =>
+  `${step} ${stat} ${actual === null || actual === undefined ? 'n/a' : actual} breaches budget ${budget}`;
+
+// Thrown at the end of a flow when any sample breached its budget
+export class SlaBreachError extends Error {
+  constructor(breaches) {
+    super(`SLA breached: ${breaches.map(formatBreach).join('; ')}`);
+    this.name = 'SlaBreachError';
+    this.breaches = breaches;
+  }
+}
@@ -0,0 +1,119 @@
+import { log, setLogContext } from './logger.js';
+
+// ============================================================
+// SOAK MODE
+// ============================================================
+// With soakMode on, the agent stays logged in and Available and takes call
+// after call until soakMaxCalls calls are done or soakDurationMins (default:
+// the task's max_duration_in_mins) is up. A call is only started if it can
+// finish in time, judged by the longest call so far, so a runner that stops
+// the process at the task's max duration never cuts a call in half.
+//
+// Every EPT record carries the call's `iteration`, and summary.json gets a
+// `soak` block with one row per call plus, per step, the least-squares slope
+// of its EPT over the calls (ms per call): a steadily positive slope is the
+// degradation or leak that only shows after the tenth call.
+//
+// A soak that ends before its first call (login left less time than the end
+// margin) fails: a run that took no calls measured nothing.
+
+// Time kept back at the end for setting Offline and writing results
+const END_MARGIN_MS = 30000;
+
+// transcript.json -> transcript-call-3.json
+export const callFileName = (fileName, iteration) => fileName.replace(/(\.[^.]+)$/, `-call-${iteration}$1`);
+
+const round = (value, digits = 1) => (value === null ? null : Number(value.toFixed(digits)));
+
+// Slope of y over x by least squares; null with fewer than two points
+export function slope(points) {
+  if (points.length < 2) return null;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  if (!sxx) return null;
+  return points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / sxx;
+}
+
+export class SoakLoop {
+  // startTime: when the run started (the duration counts login too)
+  constructor({ metrics, maxCalls = null, durationMs, startTime = Date.now() }) {
+    if (!Number.isFinite(durationMs) && maxCalls === null) {
+      throw new Error('soakMode needs soakMaxCalls, soakDurationMins or a task max_duration_in_mins');
+    }
+    this.metrics = metrics;
+    this.maxCalls = maxCalls;
+    this.deadline = Number.isFinite(durationMs) ? startTime + durationMs : Infinity;
+    this.calls = [];
+    this.stoppedBy = null;
+  }
+
+  get longestCallMs() {
+    return this.calls.reduce((max, call) => Math.max(max, call.durationMs), 0);
+  }
+
+  // Reason to stop before the next call, or null to go on
+  stopReason() {
+    if (this.maxCalls !== null && this.calls.length >= this.maxCalls) return 'maxCalls';
+    if (Date.now() + this.longestCallMs + END_MARGIN_MS > this.deadline) return 'duration';
+    return null;
+  }
+
+  // handleCall(iteration) takes one call end to end and returns
+  // fields for its perCall row (voiceSessionId, mos...); a failed call ends
+  // the soak with its error
+  async run(handleCall) {
+    while (!(this.stoppedBy = this.stopReason())) {
+      const iteration = this.calls.length + 1;
+      const startTime = Date.now();
+      this.metrics.iteration = iteration;
+      // Log lines carry the call; its voice session id is set once known
+      setLogContext({ iteration, voiceSessionId: null });
+      log.info(`Soak call ${iteration}${this.maxCalls ? ` of ${this.maxCalls}` : ''}`);
+      try {
+        const result = await handleCall(iteration);
+        this.calls.push({ iteration, startTime: new Date(startTime).toISOString(), durationMs: Date.now() - startTime, outcome: 'passed', ...result });
+      } catch (error) {
+        this.calls.push({ iteration, startTime: new Date(startTime).toISOString(), durationMs: Date.now() - startTime, outcome: 'failed', error: error.message });
+        this.stoppedBy = 'failure';
+        throw error;
+      } finally {
+        this.metrics.iteration = null;
+        setLogContext({ iteration: null });
+      }
+    }
+    if (!this.calls.length) {
+      throw new Error(`Soak took no calls: ${Math.max(this.deadline - Date.now(), 0)}ms left before the deadline, `
+        + `${END_MARGIN_MS}ms kept back for the end of the run`);
+    }
+    log.info(`Soak finished after ${this.calls.length} call(s) (${this.stoppedBy})`);
+    return this.summarize();
+  }
+
+  // EPT trend per step across the calls
+  trends() {
+    const byStep = {};
+    for (const entry of this.metrics.records) {
+      if (!entry.iteration || entry.outcome !== 'passed') continue;
+      (byStep[entry.step] ||= []).push({ x: entry.iteration, y: entry.durationMs });
+    }
+    return Object.fromEntries(Object.entries(byStep).map(([step, points]) => [step, {
+      calls: points.length,
+      firstMs: points[0].y,
+      lastMs: points[points.length - 1].y,
+      msPerCall: round(slope(points)),
+    }]));
+  }
+
+  summarize() {
+    return {
+      calls: this.calls.length,
+      passed: this.calls.filter((call) => call.outcome === 'passed').length,
+      stoppedBy: this.stoppedBy,
+      maxCalls: this.maxCalls,
+      deadline: Number.isFinite(this.deadline) ? new Date(this.deadline).toISOString() : null,
+      perCall: this.calls,
+      trends: this.trends(),
+    };
+  }
+}
@@ -0,0 +1,240 @@
+import { closeSync, openSync, readSync, statSync } from 'fs';
+import { waitUntil } from './waits.js';
+import { matchUtterances } from './transcript.js';
+import { log } from './logger.js';
+
+// ============================================================
+// TRANSCRIPT LATENCY (SPEECH-TO-TEXT EPT)
+// ============================================================
+// A MutationObserver installed in every frame reports each transcript bubble
+// the moment it is added to the DOM, plus later text updates, through an
+// exposed binding. Expected utterances with a `startMs` offset are matched
+// to those bubbles to measure how long transcription took:
+//
+//   { "speaker": "agent", "text": "Thanks for calling", "startMs": 31500 }
+//
+// Agent utterances are offsets into the fake-capture WAV, counted from the
+// first audio getUserMedia() in the browser (Chrome starts the file there and
+// loops it). Customer utterances are offsets from the call being connected.
+// transcriptAudioOffsetMs shifts both if the anchor needs correcting.
+//
+// Latencies are recorded as the TranscriptLatencyAgent and
+// TranscriptLatencyCustomer steps, so they get the usual EPT percentiles and
+// SLA budgets.
+
+const BINDING_NAME = '__ccasReportTranscript';
+
+export const LATENCY_STEPS = {
+  agent: 'TranscriptLatencyAgent',
+  customer: 'TranscriptLatencyCustomer',
+};
+
+// Runs inside the browser: must be self-contained
+function observeTranscripts({ bindingName }) {
+  if (window.__ccasTranscriptObserver) return;
+  window.__ccasTranscriptObserver = true;
+
+  const report = (event) => {
+    try {
+      if (typeof window[bindingName] === 'function') {
+        window[bindingName]({ ...event, t: Date.now() });
+      }
+    } catch (error) {
+      // Binding unavailable (e.g. page closing): drop the event
+    }
+  };
+
+  // The fake-capture WAV starts when the first audio capture opens
+  const mediaDevices = navigator.mediaDevices;
+  if (mediaDevices && mediaDevices.getUserMedia) {
+    const getUserMedia = mediaDevices.getUserMedia.bind(mediaDevices);
+    mediaDevices.getUserMedia = async (constraints) => {
+      const stream = await getUserMedia(constraints);
+      if (constraints && constraints.audio) report({ type: 'capture' });
+      return stream;
+    };
+  }
+
+  const documentId = Date.now().toString(36);
+  let nextId = 1;
+  const bubbles = new Map();
+  const BUBBLE = '.slds-chat-message__text_inbound, .slds-chat-message__text_outbound';
+
+  const scan = (root) => {
+    const found = root.matches && root.matches(BUBBLE) ? [root] : [];
+    if (root.querySelectorAll) found.push(...root.querySelectorAll(BUBBLE));
+    for (const element of found) {
+      const text = (element.innerText || element.textContent || '').trim();
+      const known = bubbles.get(element);
+      if (!known) {
+        const id = `${documentId}-${nextId++}`;
+        bubbles.set(element, { id, text });
+        report({
+          type: 'bubble',
+          id,
+          speaker: element.classList.contains('slds-chat-message__text_inbound') ? 'customer' : 'agent',
+          text,
+        });
+      } else if (known.text !== text) {
+        known.text = text;
+        report({ type: 'text', id: known.id, text });
+      }
+    }
+  };
+
+  const start = () => {
+    scan(document.body);
+    new MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        if (mutation.type === 'childList') {
+          mutation.addedNodes.forEach(scan);
+        }
+        // Streaming transcripts rewrite the bubble's text in place
+        let node = mutation.target;
+        while (node && node.nodeType !== Node.ELEMENT_NODE) node = node.parentNode;
+        if (node && node.closest) {
+          const bubble = node.closest(BUBBLE);
+          if (bubble) scan(bubble);
+        }
+      }
+    }).observe(document.body, { childList: true, subtree: true, characterData: true });
+  };
+
+  if (document.body) {
+    start();
+  } else {
+    document.addEventListener('DOMContentLoaded', start, { once: true });
+  }
+}
+
+// Length of a PCM WAV file in ms, from its fmt and data chunks; null if unreadable
+export function readWavDurationMs(filePath) {
+  let fd;
+  try {
+    fd = openSync(filePath, 'r');
+    const header = Buffer.alloc(12);
+    readSync(fd, header, 0, 12, 0);
+    if (header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+      return null;
+    }
+    const fileSize = statSync(filePath).size;
+    let byteRate = null;
+    let offset = 12;
+    const chunk = Buffer.alloc(20);
+    while (offset + 8 <= fileSize) {
+      readSync(fd, chunk, 0, 20, offset);
+      const id = chunk.toString('ascii', 0, 4);
+      const size = chunk.readUInt32LE(4);
+      if (id === 'fmt ') {
+        byteRate = chunk.readUInt32LE(16); // fmt body: format, channels, sampleRate, byteRate
+      } else if (id === 'data' && byteRate) {
+        return Math.round((Math.min(size, fileSize - offset - 8) / byteRate) * 1000);
+      }
+      offset += 8 + size + (size % 2);
+    }
+    return null;
+  } catch (error) {
+    return null;
+  } finally {
+    if (fd !== undefined) closeSync(fd);
+  }
+}
+
+export class TranscriptMonitor {
+  // expected: loadExpectedTranscript() result (or null); audioFilePath: the
+  // fake-capture WAV, whose length is needed because Chrome loops it
+  constructor({ metrics = null, expected = null, audioFilePath = null, matchThreshold = 0.8, audioOffsetMs = 0 } = {}) {
+    this.metrics = metrics;
+    this.utterances = expected ? expected.utterances : [];
+    this.wavDurationMs = audioFilePath ? readWavDurationMs(audioFilePath) : null;
+    this.matchThreshold = matchThreshold;
+    this.audioOffsetMs = audioOffsetMs;
+    this.captureStartedAt = null;
+    this.connectedAt = null;
+    this.bubbles = new Map();
+  }
+
+  // Must run before the first navigation, like WebRTCStatsCollector.install
+  async install(context) {
+    await context.exposeBinding(BINDING_NAME, (source, event) => {
+      if (event.type === 'capture') {
+        this.captureStartedAt = this.captureStartedAt ?? event.t;
+      } else if (event.type === 'bubble') {
+        this.bubbles.set(event.id, { speaker: event.speaker, text: event.text, firstSeenAt: event.t, updatedAt: event.t });
+      } else if (event.type === 'text' && this.bubbles.has(event.id)) {
+        Object.assign(this.bubbles.get(event.id), { text: event.text, updatedAt: event.t });
+      }
+    });
+    await context.addInitScript(observeTranscripts, { bindingName: BINDING_NAME });
+  }
+
+  // Anchor for customer utterances: call it once the call is connected
+  markConnected() {
+    this.connectedAt = Date.now();
+  }
+
+  // Forgets the previous call's bubbles and anchors, before the next call of a soak run
+  reset() {
+    this.bubbles.clear();
+    this.captureStartedAt = null;
+    this.connectedAt = null;
+  }
+
+  get messages() {
+    return [...this.bubbles.values()].sort((a, b) => a.firstSeenAt - b.firstSeenAt);
+  }
+
+  // Pairs each expected utterance with its bubble (matchUtterances in
+  // transcript.js, as the accuracy check does); message is null when none matched
+  matchUtterances() {
+    return matchUtterances(this.utterances, this.messages, { matchThreshold: this.matchThreshold })
+      .map(({ utterance, message, matched }) => ({ utterance, message: matched ? message : null }));
+  }
+
+  // Replaces a fixed wait: returns once every expected utterance has a
+  // bubble (or, without an expected file, once both speakers have one).
+  // waits: the flow's WaitRecorder, if any
+  async waitForUtterances({ timeoutMs = 40000, pollMs = 500, waits = null } = {}) {
+    const startedAt = Date.now();
+    const done = () => (this.utterances.length
+      ? this.matchUtterances().every((m) => m.message)
+      : ['agent', 'customer'].every((speaker) => this.messages.some((m) => m.speaker === speaker && m.text)));
+
+    const met = await waitUntil('TranscriptUtterances', done, { capMs: timeoutMs, pollMs, recorder: waits });
+    log.info(`📝 Transcript: ${this.messages.length} bubble(s) after ${Date.now() - startedAt}ms${met ? '' : ' (timed out)'}`);
+    return met;
+  }
+
+  // Start of the playback of an utterance that precedes `seenAt`
+  utteranceStart(utterance, seenAt) {
+    const anchor = (utterance.speaker || 'agent') === 'customer' ? this.connectedAt : this.captureStartedAt;
+    if (anchor === null || typeof utterance.startMs !== 'number') return null;
+    let start = anchor + this.audioOffsetMs + utterance.startMs;
+    if (utterance.speaker !== 'customer' && this.wavDurationMs) {
+      while (start + this.wavDurationMs <= seenAt) start += this.wavDurationMs;
+    }
+    return start <= seenAt ? start : null;
+  }
+
+  // Records one EPT sample per matched utterance; returns per-utterance results
+  recordLatencies() {
+    const results = this.matchUtterances()
+      .filter(({ utterance }) => typeof utterance.startMs === 'number')
+      .map(({ utterance, message }) => {
+        const speaker = utterance.speaker || 'agent';
+        const startTime = message ? this.utteranceStart(utterance, message.firstSeenAt) : null;
+        const latencyMs = startTime === null ? null : message.firstSeenAt - startTime;
+        if (this.metrics) {
+          this.metrics.record(LATENCY_STEPS[speaker], startTime === null
+            ? { startTime: Date.now(), outcome: 'failed', error: new Error(`No transcript bubble for "${utterance.text}"`) }
+            : { startTime, endTime: message.firstSeenAt });
+        }
+        return { speaker, text: utterance.text, startMs: utterance.startMs, latencyMs };
+      });
+
+    if (!results.length) return null;
+    const measured = results.filter((r) => r.latencyMs !== null);
+    log.info(`📝 Transcript latency measured for ${measured.length}/${results.length} utterance(s)`);
+    return { wavDurationMs: this.wavDurationMs, utterances: results };
+  }
+}
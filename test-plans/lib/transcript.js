@@ -0,0 +1,145 @@
+import { existsSync, readFileSync } from 'fs';
+import { resolve, isAbsolute } from 'path';
+import { REPO_ROOT } from './results.js';
+
+// ============================================================
+// TRANSCRIPT VALIDATION
+// ============================================================
+// Compares the real-time transcript shown to the agent with the utterances
+// the audio asset is known to contain. The expected file sits next to the
+// WAV (roleplay.wav -> roleplay.expected.json) unless `expectedTranscript`
+// points elsewhere:
+//
+//   { "utterances": [ { "speaker": "agent", "text": "Thanks for calling" }, ... ] }
+//
+// speaker is optional ("agent" or "customer"). Each expected utterance is
+// fuzzy-matched to the most similar transcript message, and the word error
+// rate (WER) is computed per speaker over the whole conversation.
+
+export const TRANSCRIPT_FILE = 'transcript.json';
+
+// Thrown when the collected transcript's WER exceeds transcriptMaxWer
+export class TranscriptAccuracyError extends Error {
+  constructor(wer, maxWer) {
+    super(`Transcript WER ${wer} exceeds transcriptMaxWer ${maxWer}`);
+    this.name = 'TranscriptAccuracyError';
+    this.wer = wer;
+    this.maxWer = maxWer;
+  }
+}
+
+export const normalizeWords = (text) =>
+  (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+// Levenshtein distance over any two sequences (words or characters)
+export function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// (substitutions + deletions + insertions) / reference words
+export function wordErrorRate(reference, hypothesis) {
+  const ref = normalizeWords(reference);
+  const hyp = normalizeWords(hypothesis);
+  if (!ref.length) return hyp.length ? 1 : 0;
+  return editDistance(ref, hyp) / ref.length;
+}
+
+// 0-1 character similarity of the normalized texts
+export function similarity(a, b) {
+  const left = normalizeWords(a).join(' ');
+  const right = normalizeWords(b).join(' ');
+  const longest = Math.max(left.length, right.length);
+  return longest ? 1 - editDistance(left, right) / longest : 1;
+}
+
+const round = (value, digits = 3) => (value === null ? null : Number(value.toFixed(digits)));
+
+// The expected-utterances file for an audio asset; null when there is none
+export function loadExpectedTranscript(audioFile, expectedTranscript) {
+  let filePath = expectedTranscript;
+  if (!filePath && audioFile) {
+    filePath = audioFile.replace(/\.[^./\\]+$/, '') + '.expected.json';
+  }
+  if (!filePath) return null;
+  filePath = isAbsolute(filePath) ? filePath : resolve(REPO_ROOT, filePath);
+  if (!existsSync(filePath)) return null;
+
+  const expected = JSON.parse(readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(expected.utterances)) {
+    throw new Error(`${filePath} must contain an "utterances" array`);
+  }
+  return { filePath, utterances: expected.utterances };
+}
+
+// Pairs each expected utterance, in order, with the most similar message of
+// its speaker not already paired: { utterance, message, score, matched }.
+// Below matchThreshold the closest message is still returned (so a report
+// can show what was heard) but matched is false and the message stays free.
+// Shared by the accuracy check and the latency measurement, so both pair
+// the same bubble with an utterance.
+export function matchUtterances(expectedUtterances, messages, { matchThreshold = 0.8 } = {}) {
+  const used = new Set();
+  return expectedUtterances.map((utterance) => {
+    let best = null;
+    messages.forEach((message, index) => {
+      if (used.has(index) || (utterance.speaker && message.speaker !== utterance.speaker)) return;
+      const score = similarity(utterance.text, message.text);
+      if (!best || score > best.score) best = { index, score };
+    });
+    const matched = Boolean(best && best.score >= matchThreshold);
+    if (matched) used.add(best.index);
+    return { utterance, message: best ? messages[best.index] : null, score: best ? best.score : 0, matched };
+  });
+}
+
+// messages: [{ speaker, text, timestamp }] in conversation order
+export function validateTranscript(expectedUtterances, messages, { matchThreshold = 0.8 } = {}) {
+  const pairs = matchUtterances(expectedUtterances, messages, { matchThreshold });
+  const utterances = pairs.map(({ utterance: expected, message: actual, score, matched }) => ({
+    speaker: expected.speaker || null,
+    expected: expected.text,
+    actual: actual ? actual.text : null,
+    timestamp: actual ? actual.timestamp : null,
+    similarity: round(score),
+    wer: round(wordErrorRate(expected.text, actual ? actual.text : '')),
+    matched,
+  }));
+
+  // Conversation-level WER per speaker: order within a speaker is reliable,
+  // interleaving across speakers is not
+  const speakers = [...new Set(expectedUtterances.map((u) => u.speaker || null))];
+  let errors = 0;
+  let referenceWords = 0;
+  const bySpeaker = {};
+  for (const speaker of speakers) {
+    const reference = normalizeWords(expectedUtterances.filter((u) => (u.speaker || null) === speaker).map((u) => u.text).join(' '));
+    const hypothesis = normalizeWords(messages.filter((m) => speaker === null || m.speaker === speaker).map((m) => m.text).join(' '));
+    const speakerErrors = editDistance(reference, hypothesis);
+    errors += speakerErrors;
+    referenceWords += reference.length;
+    bySpeaker[speaker || 'any'] = { wer: reference.length ? round(speakerErrors / reference.length) : null, referenceWords: reference.length };
+  }
+
+  const matchedCount = utterances.filter((u) => u.matched).length;
+  return {
+    expectedCount: utterances.length,
+    messageCount: messages.length,
+    matchedCount,
+    matchRate: utterances.length ? round(matchedCount / utterances.length) : null,
+    wer: referenceWords ? round(errors / referenceWords) : null,
+    bySpeaker,
+    utterances,
+  };
+}
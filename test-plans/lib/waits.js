@@ -0,0 +1,81 @@
+import { appendFileSync } from 'fs';
+import { pid } from 'process';
+import { getResultsPath } from './results.js';
+import { delay } from './browser.js';
+import { log } from './logger.js';
+
+// ============================================================
+// CONDITION-BASED WAITS
+// ============================================================
+// Replacements for fixed sleeps: each wait polls the UI or WebRTC signal it
+// was really waiting for and returns as soon as it holds, or gives up at its
+// cap (the length of the sleep it replaced, so a flow is never slower than
+// before). Not meeting the condition is not an error; callers carry on as
+// they did after the sleep.
+//
+// Every wait appends one line to waits.jsonl (name, cap, time waited, met or
+// timeout); `npm run report` turns them into wait-report.csv, which shows
+// which caps are realistic and how much time the old sleeps wasted.
+
+export const WAITS_FILE = 'waits.jsonl';
+
+// Polls condition() until it is truthy or capMs has passed; a condition that
+// throws (page navigating, element detached) counts as not yet met
+export async function waitUntil(name, condition, { capMs, pollMs = 100, recorder = null } = {}) {
+  const startTime = Date.now();
+  let met = false;
+  for (;;) {
+    try {
+      met = Boolean(await condition());
+    } catch (error) {
+      met = false;
+    }
+    if (met || Date.now() - startTime >= capMs) break;
+    await delay(Math.min(pollMs, Math.max(capMs - (Date.now() - startTime), 0)));
+  }
+  if (recorder) recorder.record(name, { startTime, capMs, met });
+  return met;
+}
+
+export class WaitRecorder {
+  constructor({ username, script }) {
+    this.username = username || 'unknown';
+    this.script = script;
+    this.records = [];
+  }
+
+  record(name, { startTime, endTime = Date.now(), capMs, met }) {
+    const entry = {
+      wait: name,
+      script: this.script,
+      username: this.username,
+      pid,
+      startTime: new Date(startTime).toISOString(),
+      waitedMs: endTime - startTime,
+      capMs,
+      outcome: met ? 'met' : 'timeout',
+    };
+    this.records.push(entry);
+    try {
+      appendFileSync(getResultsPath(WAITS_FILE, this.username), `${JSON.stringify(entry)}\n`);
+    } catch (writeError) {
+      log.warn(`Could not write ${WAITS_FILE}: ${writeError.message}`);
+    }
+    return entry;
+  }
+
+  // Per wait: how often it ran, how often it hit its cap, and the time saved
+  // against the fixed sleep it replaced
+  summarize() {
+    const byWait = {};
+    for (const entry of this.records) {
+      const summary = byWait[entry.wait] || { count: 0, timeouts: 0, capMs: entry.capMs, waitedMs: [], savedMs: 0 };
+      summary.count++;
+      if (entry.outcome === 'timeout') summary.timeouts++;
+      summary.waitedMs.push(entry.waitedMs);
+      summary.savedMs += Math.max(entry.capMs - entry.waitedMs, 0);
+      byWait[entry.wait] = summary;
+    }
+    return byWait;
+  }
+}
@@ -0,0 +1,223 @@
+import { writeFileSync } from 'fs';
+import { getResultsPath } from './results.js';
+import { log } from './logger.js';
+
+// ============================================================
+// WEBRTC getStats() COLLECTION
+// ============================================================
+// An init script wraps the RTCPeerConnection constructor in every frame
+// before the Voice SDK loads, so every peer connection is tracked from
+// creation. Each connection is polled with getStats() and the samples are
+// pushed to Node through an exposed binding as they are taken, which keeps
+// them even if the frame or page that owned the connection goes away.
+
+export const WEBRTC_STATS_FILE = 'webrtc-stats.json';
+const BINDING_NAME = '__ccasReportWebRTCStats';
+
+// Runs inside the browser: must be self-contained
+function trackPeerConnections({ intervalMs, bindingName }) {
+  const NativePeerConnection = window.RTCPeerConnection;
+  if (!NativePeerConnection || NativePeerConnection.__ccasTracked) {
+    return;
+  }
+
+  // Document-unique prefix: counters restart on every navigation
+  const documentId = Date.now().toString(36);
+  let nextId = 1;
+  const report = (event) => {
+    try {
+      if (typeof window[bindingName] === 'function') {
+        window[bindingName]({ ...event, t: Date.now() });
+      }
+    } catch (error) {
+      // Binding unavailable (e.g. page closing): drop the sample
+    }
+  };
+
+  const extract = (stats) => {
+    const codecs = {};
+    const sample = { outbound: null, inbound: null, remoteInbound: null, source: null, rtt: null };
+    stats.forEach((s) => {
+      if (s.type === 'codec') {
+        codecs[s.id] = s.mimeType;
+      }
+    });
+    stats.forEach((s) => {
+      if (s.kind && s.kind !== 'audio') return;
+      switch (s.type) {
+        case 'outbound-rtp':
+          sample.outbound = {
+            packetsSent: s.packetsSent,
+            bytesSent: s.bytesSent,
+            codec: codecs[s.codecId] || null,
+          };
+          break;
+        case 'inbound-rtp':
+          sample.inbound = {
+            packetsReceived: s.packetsReceived,
+            packetsLost: s.packetsLost,
+            bytesReceived: s.bytesReceived,
+            jitter: s.jitter,
+            audioLevel: s.audioLevel,
+            totalAudioEnergy: s.totalAudioEnergy,
+            codec: codecs[s.codecId] || null,
+          };
+          break;
+        case 'remote-inbound-rtp':
+          sample.remoteInbound = {
+            packetsLost: s.packetsLost,
+            fractionLost: s.fractionLost,
+            jitter: s.jitter,
+            roundTripTime: s.roundTripTime,
+          };
+          break;
+        case 'media-source':
+          sample.source = {
+            audioLevel: s.audioLevel,
+            totalAudioEnergy: s.totalAudioEnergy,
+            totalSamplesDuration: s.totalSamplesDuration,
+          };
+          break;
+        case 'candidate-pair':
+          if (s.nominated && s.state === 'succeeded' && s.currentRoundTripTime !== undefined) {
+            sample.rtt = s.currentRoundTripTime;
+          }
+          break;
+        default:
+          break;
+      }
+    });
+    return sample;
+  };
+
+  // Live connections, so checks can inspect senders and tracks directly
+  window.__ccasPeerConnections = [];
+
+  class TrackedPeerConnection extends NativePeerConnection {
+    constructor(...args) {
+      super(...args);
+      const pcId = `${location.host || 'local'}#${documentId}-${nextId++}`;
+      this.__ccasId = pcId;
+      window.__ccasPeerConnections.push(this);
+      report({ type: 'created', pcId, frameUrl: location.href });
+
+      this.addEventListener('connectionstatechange', () => {
+        report({ type: 'state', pcId, connectionState: this.connectionState });
+      });
+
+      const timer = setInterval(async () => {
+        if (this.connectionState === 'closed') {
+          clearInterval(timer);
+          window.__ccasPeerConnections = window.__ccasPeerConnections.filter((pc) => pc !== this);
+          report({ type: 'closed', pcId });
+          return;
+        }
+        try {
+          const stats = await this.getStats();
+          report({ type: 'sample', pcId, connectionState: this.connectionState, ...extract(stats) });
+        } catch (error) {
+          report({ type: 'error', pcId, message: error.message });
+        }
+      }, intervalMs);
+    }
+  }
+  TrackedPeerConnection.__ccasTracked = true;
+
+  window.RTCPeerConnection = TrackedPeerConnection;
+  if (window.webkitRTCPeerConnection) {
+    window.webkitRTCPeerConnection = TrackedPeerConnection;
+  }
+}
+
+const numbers = (values) => values.filter((v) => typeof v === 'number' && !isNaN(v));
+const avg = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+const max = (values) => (values.length ? Math.max(...values) : null);
+const round = (value, digits = 1) => (value === null ? null : Number(value.toFixed(digits)));
+
+// Per-connection totals over the whole call. RTP counters are cumulative so
+// the last sample holds the totals; jitter/RTT are seconds in getStats and
+// reported here in ms.
+export function summarizePeerConnection(pcId, events) {
+  const samples = events.filter((e) => e.type === 'sample');
+  const last = samples[samples.length - 1] || {};
+  const jitterMs = numbers(samples.map((s) => s.inbound?.jitter)).map((j) => j * 1000);
+  const rttMs = numbers(samples.map((s) => s.remoteInbound?.roundTripTime ?? s.rtt)).map((r) => r * 1000);
+
+  const packetsSent = last.outbound?.packetsSent ?? 0;
+  const packetsReceived = last.inbound?.packetsReceived ?? 0;
+  const packetsLost = last.inbound?.packetsLost ?? 0;
+
+  return {
+    pcId,
+    frameUrl: events.find((e) => e.frameUrl)?.frameUrl || null,
+    createdAt: events.length ? new Date(events[0].t).toISOString() : null,
+    sampleCount: samples.length,
+    durationMs: samples.length ? samples[samples.length - 1].t - events[0].t : 0,
+    connectionStates: [...new Set(events.filter((e) => e.connectionState).map((e) => e.connectionState))],
+    codec: last.inbound?.codec || last.outbound?.codec || null,
+    packetsSent,
+    packetsReceived,
+    packetsLost,
+    lossPercent: packetsReceived + packetsLost > 0 ? round((packetsLost / (packetsReceived + packetsLost)) * 100, 2) : null,
+    jitterMsAvg: round(avg(jitterMs)),
+    jitterMsMax: round(max(jitterMs)),
+    roundTripTimeMsAvg: round(avg(rttMs)),
+    roundTripTimeMsMax: round(max(rttMs)),
+    inboundAudioLevelAvg: round(avg(numbers(samples.map((s) => s.inbound?.audioLevel))), 4),
+    outboundAudioLevelAvg: round(avg(numbers(samples.map((s) => s.source?.audioLevel))), 4),
+    mediaFlowing: packetsSent > 0 && packetsReceived > 0,
+  };
+}
+
+export class WebRTCStatsCollector {
+  constructor({ intervalMs = 1000 } = {}) {
+    this.intervalMs = intervalMs;
+    this.events = [];
+  }
+
+  // Must run before the first navigation so the wrapper is in place before
+  // the Voice SDK creates its peer connections
+  async install(context) {
+    await context.exposeBinding(BINDING_NAME, (source, event) => {
+      this.events.push(event);
+    });
+    await context.addInitScript(trackPeerConnections, { intervalMs: this.intervalMs, bindingName: BINDING_NAME });
+  }
+
+  get samples() {
+    return this.events.filter((e) => e.type === 'sample');
+  }
+
+  eventsByPeerConnection() {
+    const byPc = new Map();
+    for (const event of this.events) {
+      if (!byPc.has(event.pcId)) byPc.set(event.pcId, []);
+      byPc.get(event.pcId).push(event);
+    }
+    return byPc;
+  }
+
+  // status tells "connected but no media" apart from a healthy call
+  summarize() {
+    const peerConnections = [...this.eventsByPeerConnection()].map(([pcId, events]) => summarizePeerConnection(pcId, events));
+    let status = 'no-peer-connection';
+    if (peerConnections.some((pc) => pc.mediaFlowing)) {
+      status = 'media-flowing';
+    } else if (peerConnections.length) {
+      status = 'no-media';
+    }
+    return { status, intervalMs: this.intervalMs, peerConnections };
+  }
+
+  // Writes the full time series plus the summary; returns the summary
+  save(username) {
+    const summary = this.summarize();
+    log.info(`WebRTC media status: ${summary.status} (${summary.peerConnections.length} peer connection(s))`);
+    try {
+      writeFileSync(getResultsPath(WEBRTC_STATS_FILE, username), JSON.stringify({ summary, events: this.events }, null, 2));
+    } catch (writeError) {
+      log.warn(`Could not write ${WEBRTC_STATS_FILE}: ${writeError.message}`);
+    }
+    return summary;
+  }
+}
@@ -0,0 +1,98 @@
+import { existsSync, readFileSync } from 'fs';
+import { isAbsolute, resolve } from 'path';
+import { REPO_ROOT } from './results.js';
+import { loadUsers } from './credentials.js';
+import { validateWorkload } from './schema.js';
+
+// ============================================================
+// WORKLOAD PLANNING
+// ============================================================
+// Turns a workload-metadata file into the list of virtual users the load
+// harness would start:
+//
+//   users_count              virtual users per task
+//   user_allocation_percent  share of a task's users running each script
+//   ramp_up_interval_millis  delay between consecutive user starts
+//   max_duration_in_mins     how long a task's users keep iterating, capped
+//                            by the workload-wide max_duration (minutes)
+//
+// Each user takes the next row of the task's users_file, as under FPSx.
+
+export const SCRIPTS_DIR = resolve(REPO_ROOT, 'test-plans', 'playwright');
+
+export function loadWorkload(workloadFile) {
+  const filePath = isAbsolute(workloadFile) ? workloadFile : resolve(REPO_ROOT, workloadFile);
+  if (!existsSync(filePath)) {
+    throw new Error(`Workload file not found: ${filePath}`);
+  }
+  // Arguments come back coerced to their schema types; any bad or unknown key fails here
+  const workload = validateWorkload(JSON.parse(readFileSync(filePath, 'utf8')), `workload file ${filePath}`);
+  return { filePath, workload };
+}
+
+// Largest-remainder split, so the script counts always add up to usersCount
+export function allocateUsers(usersCount, scripts) {
+  const totalPercent = scripts.reduce((sum, s) => sum + Number(s.user_allocation_percent ?? 100), 0);
+  if (totalPercent <= 0) {
+    throw new Error('user_allocation_percent must add up to more than 0');
+  }
+  const shares = scripts.map((s) => (usersCount * Number(s.user_allocation_percent ?? 100)) / totalPercent);
+  const counts = shares.map(Math.floor);
+  const byRemainder = shares
+    .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+    .sort((a, b) => b.remainder - a.remainder);
+  for (let i = 0; i < usersCount - counts.reduce((sum, c) => sum + c, 0); i++) {
+    counts[byRemainder[i].index]++;
+  }
+  return counts;
+}
+
+// A task's max_duration_in_mins, capped by the workload-wide max_duration;
+// Infinity when neither is set
+export function taskDurationMins(workload, task) {
+  return Math.min(...[task.max_duration_in_mins, workload.max_duration].filter((v) => v !== undefined).map(Number));
+}
+
+// overrides: { users, durationMins, rampUpMs, task } to scale a rehearsal down
+export function planWorkload(workload, overrides = {}) {
+  const tasks = workload.tasks.filter((task) => !overrides.task || task.task_name === overrides.task);
+  if (!tasks.length) {
+    throw new Error(`No task named "${overrides.task}" (tasks: ${workload.tasks.map((t) => t.task_name).join(', ')})`);
+  }
+
+  const users = [];
+  for (const task of tasks) {
+    const usersCount = overrides.users ?? Number(task.users_count ?? 1);
+    const rampUpMs = overrides.rampUpMs ?? Number(task.ramp_up_interval_millis ?? 0);
+    const durationMins = overrides.durationMins ?? taskDurationMins(workload, task);
+    if (!Number.isFinite(durationMins)) {
+      throw new Error(`Task ${task.task_name} has no max_duration_in_mins or max_duration`);
+    }
+
+    const rows = task.users_file ? loadUsers(task.users_file).users : null;
+    if (rows && usersCount > rows.length) {
+      throw new Error(`Task ${task.task_name} needs ${usersCount} users but users_file ${task.users_file} has ${rows.length} row(s)`);
+    }
+
+    // Scripts take turns, so every script is running early in the ramp-up
+    const remaining = allocateUsers(usersCount, task.scripts);
+    for (let taskUser = 0; taskUser < usersCount;) {
+      task.scripts.forEach((script, scriptIndex) => {
+        if (!remaining[scriptIndex]) return;
+        remaining[scriptIndex]--;
+        users.push({
+          vu: users.length + 1,
+          task: task.task_name,
+          script: script.script_name,
+          scriptPath: resolve(SCRIPTS_DIR, script.script_name),
+          startDelayMs: taskUser * rampUpMs,
+          durationMs: durationMins * 60000,
+          arguments: script.arguments || {},
+          credentials: rows ? rows[taskUser] : null,
+        });
+        taskUser++;
+      });
+    }
+  }
+  return users;
+}
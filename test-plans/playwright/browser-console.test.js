@@ -0,0 +1,93 @@
+import { test, expect } from '@playwright/test';
+import { dirname } from 'path';
+import { rmSync } from 'fs';
+import { BrowserConsoleLog, BROWSER_CONSOLE_FILE } from '../lib/browser-console.js';
+import { getResultsPath } from '../lib/results.js';
+import { filterConsole, aggregateConsoleSeverity, aggregateConsole, normalizeMessage } from '../lib/report.js';
+
+// ============================================================
+// BROWSER CONSOLE LOG
+// ============================================================
+const entry = (kind, level, text, username = 'agent1', t = '2026-10-01T10:00:00.000Z') => ({ t, kind, level, text, username });
+const records = [
+  entry('console', 'log', 'Omni-Channel status set'),
+  entry('console', 'error', 'VoiceSdk: media connection lost for call 3a2f9c1e-1b2c-4d5e-8f90-123456789abc'),
+  entry('console', 'error', 'VoiceSdk: media connection lost for call 0b7d3e44-9a8b-4c7d-8e6f-abcdef012345', 'agent2', '2026-10-01T10:05:00.000Z'),
+  entry('pageerror', 'error', 'TypeError: Cannot read properties of undefined'),
+  entry('httperror', 'warning', 'GET https://example.my.salesforce.com/aura?r=7 404 Not Found'),
+  entry('console', 'debug', 'render 12ms'),
+];
+
+test.describe('filterConsole', () => {
+  test('keeps every entry without levels or a pattern', () => {
+    expect(filterConsole(records)).toHaveLength(records.length);
+  });
+
+  test('narrows by level, by text, or both', () => {
+    expect(filterConsole(records, { levels: ['error', 'warning'] }).map((r) => r.kind)).toEqual(['console', 'console', 'pageerror', 'httperror']);
+    expect(filterConsole(records, { match: 'voicesdk' })).toHaveLength(2);
+    expect(filterConsole(records, { levels: ['error'], match: /TypeError/ })).toEqual([records[3]]);
+    expect(filterConsole(records, { levels: ['warning'], match: 'VoiceSdk' })).toEqual([]);
+  });
+});
+
+test('aggregateConsoleSeverity counts entries per kind and level, errors first', () => {
+  expect(aggregateConsoleSeverity(records)).toEqual([
+    { kind: 'console', level: 'error', count: 2, users: 2 },
+    { kind: 'pageerror', level: 'error', count: 1, users: 1 },
+    { kind: 'httperror', level: 'warning', count: 1, users: 1 },
+    { kind: 'console', level: 'log', count: 1, users: 1 },
+    { kind: 'console', level: 'debug', count: 1, users: 1 },
+  ]);
+});
+
+test.describe('aggregateConsole', () => {
+  test('groups the same message from every call and user', () => {
+    const [top] = aggregateConsole(records);
+    expect(top).toMatchObject({
+      kind: 'console',
+      level: 'error',
+      message: 'VoiceSdk: media connection lost for call <uuid>',
+      count: 2,
+      users: 2,
+      firstSeen: '2026-10-01T10:00:00.000Z',
+      lastSeen: '2026-10-01T10:05:00.000Z',
+    });
+  });
+
+  test('strips ids, numbers and query strings from messages', () => {
+    expect(normalizeMessage('GET /aura?r=7&other=1 404')).toBe('GET /aura?… N');
+    expect(normalizeMessage('Record 0055g00000ABCdeAAB not found')).toBe('Record <id> not found');
+  });
+});
+
+test.describe('BrowserConsoleLog', () => {
+  const handlers = {};
+  const context = { on: (event, handler) => { handlers[event] = handler; } };
+  const consoleLog = new BrowserConsoleLog({ username: 'console-test@example.com', script: 'VoiceCall' });
+  consoleLog.install(context);
+
+  test.afterAll(() => {
+    rmSync(dirname(getResultsPath(BROWSER_CONSOLE_FILE, 'console-test@example.com')), { recursive: true, force: true });
+  });
+
+  const request = ({ serviceWorker = null, frame }) => ({
+    method: () => 'GET',
+    url: () => 'https://example.my.salesforce.com/sw/cache.js',
+    failure: () => ({ errorText: 'net::ERR_FAILED' }),
+    serviceWorker: () => serviceWorker,
+    frame,
+  });
+
+  test('logs a failed Service Worker request without a page', () => {
+    handlers.requestfailed(request({ serviceWorker: {}, frame: () => { throw new Error('Service Worker requests do not have an associated frame.'); } }));
+    expect(consoleLog.recent(1)[0]).toMatchObject({ kind: 'requestfailed', level: 'error', pageUrl: null });
+  });
+
+  test('attributes a page request to its page', () => {
+    const pageUrl = 'https://example.lightning.force.com/lightning/page/home';
+    handlers.requestfailed(request({ frame: () => ({ page: () => ({ url: () => pageUrl }) }) }));
+    expect(consoleLog.recent(1)[0]).toMatchObject({ pageUrl, text: 'GET https://example.my.salesforce.com/sw/cache.js net::ERR_FAILED' });
+    expect(consoleLog.summarize()).toEqual({ 'requestfailed:error': 2 });
+  });
+});
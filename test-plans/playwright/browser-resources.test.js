@@ -0,0 +1,54 @@
+import { test, expect } from '@playwright/test';
+import { checkHeapTrend } from '../lib/browser-resources.js';
+import { slope } from '../lib/soak.js';
+
+// ============================================================
+// BROWSER MEMORY AND CPU SAMPLING
+// ============================================================
+const MB = 1024 * 1024;
+const calls = (heapsMB, { domNodes = () => 5000, listeners = () => 800 } = {}) => heapsMB.map((heapMB, index) => ({
+  call: index + 1,
+  heapUsedBytes: heapMB * MB,
+  domNodes: domNodes(index),
+  listeners: listeners(index),
+}));
+
+test.describe('slope', () => {
+  test('is the least-squares change of y per unit of x', () => {
+    expect(slope([{ x: 1, y: 10 }, { x: 2, y: 12 }, { x: 3, y: 14 }])).toBe(2);
+    expect(slope([{ x: 1, y: 10 }, { x: 2, y: 14 }, { x: 3, y: 12 }])).toBe(1);
+    expect(slope([{ x: 1, y: 5 }, { x: 2, y: 5 }])).toBe(0);
+  });
+
+  test('is null without two distinct x values', () => {
+    expect(slope([{ x: 1, y: 10 }])).toBeNull();
+    expect(slope([{ x: 2, y: 10 }, { x: 2, y: 20 }])).toBeNull();
+  });
+});
+
+test.describe('checkHeapTrend', () => {
+  test('suspects a leak when the retained heap grows after every call', () => {
+    const trend = checkHeapTrend(calls([100, 110, 125, 130], { domNodes: (i) => 5000 + i * 200, listeners: (i) => 800 + i * 10 }));
+    expect(trend).toEqual({
+      calls: 4,
+      monotonic: true,
+      firstMB: 100,
+      lastMB: 130,
+      bytesPerCall: 10.5 * MB,
+      domNodesPerCall: 200,
+      listenersPerCall: 10,
+      leakSuspected: true,
+    });
+  });
+
+  test('does not flag a heap that drops back between calls', () => {
+    const trend = checkHeapTrend(calls([100, 140, 105, 150]));
+    expect(trend).toMatchObject({ monotonic: false, leakSuspected: false, domNodesPerCall: 0 });
+    expect(trend.bytesPerCall).toBeGreaterThan(0);
+  });
+
+  test('needs three calls to show a trend', () => {
+    expect(checkHeapTrend(calls([100, 120]))).toEqual({ calls: 2, monotonic: false, bytesPerCall: null, leakSuspected: false });
+    expect(checkHeapTrend([])).toMatchObject({ calls: 0, leakSuspected: false });
+  });
+});
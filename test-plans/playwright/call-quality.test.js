@@ -0,0 +1,76 @@
+import { test, expect } from '@playwright/test';
+import { computeRFactor, rFactorToMos, assessCallQuality } from '../lib/call-quality.js';
+
+// ============================================================
+// CALL QUALITY (E-MODEL MOS)
+// ============================================================
+const sample = (t, packetsReceived, packetsLost, pcId = 'pc-1') => ({
+  type: 'sample',
+  pcId,
+  t,
+  inbound: { packetsReceived, packetsLost, jitter: 0.01 },
+  rtt: 0.05,
+});
+
+test.describe('computeRFactor', () => {
+  test('starts from 93.2 less the codec delay on a clean line', () => {
+    expect(computeRFactor({})).toBeCloseTo(92.95);
+  });
+
+  test('counts half the round trip, twice the jitter and 2.5 per percent lost', () => {
+    // 50 + 20 + 10 = 80ms effective latency
+    expect(computeRFactor({ rttMs: 100, jitterMs: 10, lossPercent: 2 })).toBeCloseTo(93.2 - 2 - 5);
+  });
+
+  test('impairs latency over 160ms more steeply', () => {
+    // 200 + 0 + 10 = 210ms effective latency
+    expect(computeRFactor({ rttMs: 400 })).toBeCloseTo(93.2 - 9);
+  });
+
+  test('clamps to 0', () => {
+    expect(computeRFactor({ lossPercent: 50 })).toBe(0);
+  });
+});
+
+test.describe('rFactorToMos', () => {
+  test('maps the R-factor range onto 1 to 4.5', () => {
+    expect(rFactorToMos(0)).toBe(1);
+    expect(rFactorToMos(-5)).toBe(1);
+    expect(rFactorToMos(100)).toBe(4.5);
+    expect(rFactorToMos(92.95)).toBeCloseTo(4.4, 2);
+    expect(rFactorToMos(50)).toBeCloseTo(2.575, 3);
+  });
+});
+
+test.describe('assessCallQuality', () => {
+  // 100 packets lost before 2s, none after
+  const events = [
+    sample(0, 0, 0),
+    sample(1000, 500, 100),
+    sample(2000, 1000, 200),
+    sample(3000, 1500, 200),
+    sample(4000, 2000, 200),
+  ];
+
+  test('scores the whole connection without a start time', () => {
+    const { call, pcId } = assessCallQuality(events);
+    expect(pcId).toBe('pc-1');
+    expect(call.lossPercent).toBeCloseTo(200 / 2200 * 100, 2);
+  });
+
+  test('scores a call on the counter deltas since it started', () => {
+    const { call, peerConnections } = assessCallQuality(events, { since: 2500 });
+    expect(call).toMatchObject({ lossPercent: 0, rFactor: 91.8, mos: 4.38, mosMin: 4.38 });
+    expect(peerConnections[0].packetsReceived).toBe(1000);
+    expect(peerConnections[0].intervals).toHaveLength(2);
+  });
+
+  test('has no call score without samples after the start time', () => {
+    expect(assessCallQuality(events, { since: 9000 }).call).toBeNull();
+  });
+
+  test('takes the call score from the connection that received the most packets', () => {
+    const signalling = [sample(0, 0, 0, 'pc-0'), sample(1000, 10, 5, 'pc-0')];
+    expect(assessCallQuality([...signalling, ...events]).pcId).toBe('pc-1');
+  });
+});
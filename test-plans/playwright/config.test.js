@@ -0,0 +1,104 @@
+import { test, expect } from '@playwright/test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createConfig } from '../lib/config.js';
+
+// ============================================================
+// WORKLOAD CONFIG
+// ============================================================
+const workload = (args = {}, task = {}) => ({
+  tasks: [{
+    task_name: 'inbound',
+    max_duration_in_mins: 5,
+    scripts: [{ script_name: 'CCASVoiceCall.spec.js', arguments: { username: 'agent@example.com', password: 'pw', ...args } }],
+    ...task,
+  }],
+});
+
+// Sets environment variables for the duration of fn
+const withEnv = (vars, fn) => {
+  const saved = Object.fromEntries(Object.keys(vars).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, vars);
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+};
+
+test.describe('createConfig', () => {
+  test('gives typed arguments over schema defaults', () => {
+    const config = createConfig(workload({ defaultTimeout: '10000', screenshot: 'yes' }), { scriptName: 'CCASVoiceCall.spec.js' });
+    expect(config.get('defaultTimeout')).toBe(10000);
+    expect(config.get('callWaitTime')).toBe(40000);
+    expect(config.screenshotsEnabled()).toBe(true);
+    expect(config.maxDurationMins).toBe(5);
+  });
+
+  test('lets the environment override the workload arguments', () => {
+    const config = withEnv({ defaultTimeout: '2500' }, () => createConfig(workload({ defaultTimeout: '10000' })));
+    expect(config.get('defaultTimeout')).toBe(2500);
+  });
+
+  test('rejects a bad environment value before any browser starts', () => {
+    expect(() => withEnv({ defaultTimeout: 'soon' }, () => createConfig(workload())))
+      .toThrow('defaultTimeout (environment): expected integer, got "soon"');
+  });
+
+  test('throws on keys that are not in the schema', () => {
+    const config = createConfig(workload());
+    expect(() => config.get('defaultTimeOut')).toThrow('Unknown config key "defaultTimeOut"');
+  });
+
+  test('is frozen', () => {
+    const config = createConfig(workload());
+    expect(Object.isFrozen(config)).toBe(true);
+    expect(Object.isFrozen(config.arguments)).toBe(true);
+  });
+});
+
+test.describe('assignUser', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'config-'));
+    writeFileSync(join(dir, 'users.csv'), 'agent1@example.com,pw1\nagent2@example.com,pw2\n');
+  });
+
+  test.afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('returns a new config with the row credentials and leaves the original as it was', () => {
+    test.skip(Boolean(process.env.username), 'a username in the environment disables userAssignment');
+    const base = createConfig(workload({ userAssignment: 'sequential' }, { users_file: join(dir, 'users.csv') }));
+    const config = base.assignUser({ index: 1 });
+
+    expect(config).not.toBe(base);
+    expect(Object.isFrozen(config)).toBe(true);
+    expect(config.user).toMatchObject({ username: 'agent2@example.com', password: 'pw2', row: 1 });
+    expect(config.get('username')).toBe('agent2@example.com');
+    expect(config.get('password')).toBe('pw2');
+    expect(base.user).toBeNull();
+    expect(base.get('username')).toBe('agent@example.com');
+    config.user.release();
+  });
+
+  test('keeps the workload credentials when userAssignment is none', () => {
+    test.skip(Boolean(process.env.username), 'a username in the environment replaces the workload one');
+    const config = createConfig(workload()).assignUser({ index: 3 });
+    expect(config.user).toMatchObject({ username: 'agent@example.com', row: null });
+    expect(config.get('password')).toBe('pw');
+    expect(() => config.user.release()).not.toThrow();
+  });
+
+  test('fails when a strategy is set but the workload has no users_file', () => {
+    test.skip(Boolean(process.env.username || process.env.users_file), 'the environment assigns users');
+    const base = createConfig(workload({ userAssignment: 'lease' }));
+    expect(() => base.assignUser()).toThrow('userAssignment is "lease" but the workload has no users_file');
+  });
+});
@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import { loadUsers, assignUser, testUserIndex } from '../lib/credentials.js';
+import { getResultsRoot } from '../lib/results.js';
+
+// ============================================================
+// USER ASSIGNMENT FROM THE users_file CSV
+// ============================================================
+let dir;
+let usersFile;
+
+test.beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'users-'));
+  usersFile = join(dir, `${basename(dir)}.csv`);
+  writeFileSync(usersFile, 'username,password\nagent1@example.com,pw1\nagent2@example.com, pw2\n\n');
+});
+
+test.afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+  rmSync(join(getResultsRoot(), '.leases', basename(usersFile)), { recursive: true, force: true });
+});
+
+test('loadUsers skips the header and blank lines', () => {
+  expect(loadUsers(usersFile).users).toEqual([
+    { username: 'agent1@example.com', password: 'pw1' },
+    { username: 'agent2@example.com', password: 'pw2' },
+  ]);
+  writeFileSync(usersFile, 'username,password\n');
+  expect(() => loadUsers(usersFile)).toThrow('has no rows');
+});
+
+test('sequential gives row N to index N and fails past the last row', () => {
+  expect(assignUser(usersFile, { index: 1 })).toMatchObject({ username: 'agent2@example.com', password: 'pw2', row: 1 });
+  expect(() => assignUser(usersFile, { index: 2 })).toThrow('has 2 row(s), cannot assign a user to worker/iteration 2');
+});
+
+test('testUserIndex gives every worker and iteration its own row', () => {
+  const info = (parallelIndex, repeatEachIndex, retry) => ({ parallelIndex, repeatEachIndex, retry, config: { workers: 2 }, project: { retries: 1 } });
+  const indexes = [];
+  for (const repeatEachIndex of [0, 1]) {
+    for (const retry of [0, 1]) {
+      indexes.push(testUserIndex(info(0, repeatEachIndex, retry)), testUserIndex(info(1, repeatEachIndex, retry)));
+    }
+  }
+  expect(indexes).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+  expect(testUserIndex({ parallelIndex: 3 })).toBe(3);
+});
+
+test('rejects an unknown strategy', () => {
+  expect(() => assignUser(usersFile, { strategy: 'roundrobin' })).toThrow('Unknown userAssignment "roundrobin"');
+});
+
+test('lease hands out each row once until it is released', () => {
+  const first = assignUser(usersFile, { strategy: 'lease' });
+  const second = assignUser(usersFile, { strategy: 'lease' });
+  expect([first.row, second.row]).toEqual([0, 1]);
+  expect(() => assignUser(usersFile, { strategy: 'lease' })).toThrow('All 2 user(s)');
+
+  first.release();
+  const third = assignUser(usersFile, { strategy: 'lease' });
+  expect(third).toMatchObject({ username: 'agent1@example.com', row: 0 });
+  second.release();
+  third.release();
+});
+
+test('lease takes over a row held by a process that is gone', () => {
+  const leased = assignUser(usersFile, { strategy: 'lease' });
+  const lockPath = join(getResultsRoot(), '.leases', basename(usersFile), '0.lock');
+  // No process has pid 2^22 + 1 (above the Linux pid_max limit)
+  writeFileSync(lockPath, String(2 ** 22 + 1));
+  const takenOver = assignUser(usersFile, { strategy: 'lease' });
+  expect(takenOver.row).toBe(0);
+  leased.release();
+  takenOver.release();
+});
@@ -0,0 +1,97 @@
+import { test, expect } from '@playwright/test';
+import { classifyFailure, FAILURE_CLASSES } from '../lib/failure-taxonomy.js';
+import { SlaBreachError } from '../lib/sla.js';
+import { TranscriptAccuracyError } from '../lib/transcript.js';
+import { aggregateFailures, selectRunFailures } from '../lib/report.js';
+
+// ============================================================
+// FAILURE TAXONOMY
+// ============================================================
+const classOf = (step, ui = {}, error = new Error('Timeout 10000ms exceeded')) => classifyFailure({ step, error, ui }).failureClass;
+
+test.describe('classifyFailure', () => {
+  test('tells a failed login from a missing app', () => {
+    expect(classOf('Login')).toBe('login-failed');
+    expect(classOf('Login', { consoleLoaded: true })).toBe('app-not-found');
+    expect(classOf('Login', { appLauncherOpen: true })).toBe('app-not-found');
+  });
+
+  test('tells a call that never arrived from one that could not be accepted', () => {
+    expect(classOf('AcceptingIncomingCallTHB')).toBe('call-not-routed');
+    expect(classOf('AcceptingIncomingCallTHB', { inbox: true })).toBe('accept-failed');
+    expect(classOf('AcceptingIncomingCallTHB', { voiceCallTabs: 1 })).toBe('accept-failed');
+  });
+
+  test('blames a visible backdrop on click steps only', () => {
+    expect(classOf('CloseVoiceCallTab', { backdrops: 1 })).toBe('backdrop-blocking');
+    expect(classOf('AcceptingIncomingCallTHB', { backdrops: 2, inbox: true })).toBe('backdrop-blocking');
+    expect(classOf('Flow', { backdrops: 1 })).toBe('unclassified');
+    expect(classOf('EnableMicrophone', { backdrops: 1 })).toBe('no-media');
+  });
+
+  test('puts a certificate warning before the step', () => {
+    expect(classOf('OpenWebRTCGateway')).toBe('gateway-certificate-not-bypassed');
+    expect(classOf('OmniChannelSetOnline', { certificateWarning: true })).toBe('gateway-certificate-not-bypassed');
+  });
+
+  test('separates an unended call from a VC- tab that would not close', () => {
+    expect(classOf('CloseVoiceCallTab')).toBe('close-vc-failed');
+    expect(classOf('CloseVoiceCallTab', { callControls: true })).toBe('end-call-failed');
+    expect(classOf('MakeOutboundCall', { media: 'no-media' })).toBe('no-media');
+    expect(classOf('MakeOutboundCall', { media: 'flowing' })).toBe('call-not-routed');
+  });
+
+  test('classes SLA and WER assertions by error type whatever the page shows', () => {
+    const ui = { backdrops: 1, certificateWarning: true };
+    const sla = new SlaBreachError([{ step: 'Login', stat: 'max', budget: 5000, actual: 6000 }]);
+    expect(classOf('CloseVoiceCallTab', ui, sla)).toBe('sla-breached');
+    expect(classOf('Flow', ui, new TranscriptAccuracyError(0.4, 0.25))).toBe('transcript-inaccurate');
+  });
+
+  test('returns the origin, step, error message and page state', () => {
+    const ui = { inbox: false };
+    expect(classifyFailure({ step: 'AcceptingIncomingCallTHB', error: new Error('No call'), ui })).toEqual({
+      failureClass: 'call-not-routed',
+      origin: 'platform',
+      step: 'AcceptingIncomingCallTHB',
+      error: 'No call',
+      ui,
+    });
+    expect(classifyFailure({ step: 'Flow' })).toMatchObject({ failureClass: 'unclassified', origin: 'unknown', error: null, ui: {} });
+  });
+});
+
+test('every failure class has a unique id and a known origin', () => {
+  const classes = Object.values(FAILURE_CLASSES);
+  expect(new Set(classes.map((c) => c.id)).size).toBe(classes.length);
+  for (const { id, origin } of classes) {
+    expect(['platform', 'script', 'unknown'], id).toContain(origin);
+  }
+});
+
+test.describe('failure report', () => {
+  const failure = (run, time, failureClass, username = 'agent1') => ({ ...(run && { run }), time, failureClass, username, pid: 1, step: 'Login' });
+  const records = [
+    failure('run-1', '2026-10-01T10:00:00.000Z', 'login-failed'),
+    failure('run-2', '2026-10-02T10:00:00.000Z', 'no-media'),
+    failure('run-2', '2026-10-02T09:00:00.000Z', 'no-media', 'agent2'),
+    failure(null, '2026-09-01T10:00:00.000Z', 'login-failed'),
+  ];
+
+  test('counts the run of the most recent failure unless told otherwise', () => {
+    expect(selectRunFailures(records)).toMatchObject({ run: 'run-2', records: [records[1], records[2]] });
+    expect(selectRunFailures(records, 'run-1').records).toEqual([records[0]]);
+    expect(selectRunFailures(records, 'all').records).toHaveLength(4);
+  });
+
+  test('treats failures without a run id as one run', () => {
+    expect(selectRunFailures([records[3]])).toEqual({ run: null, records: [records[3]] });
+  });
+
+  test('lists every class with its count and share', () => {
+    const rows = aggregateFailures(selectRunFailures(records).records);
+    expect(rows).toHaveLength(Object.keys(FAILURE_CLASSES).length);
+    expect(rows[0]).toMatchObject({ failureClass: 'no-media', origin: 'platform', count: 2, share: 1, users: 2 });
+    expect(rows.find((row) => row.failureClass === 'login-failed').count).toBe(0);
+  });
+});
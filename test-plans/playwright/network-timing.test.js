@@ -0,0 +1,82 @@
+import { test, expect } from '@playwright/test';
+import { shortActionName, auraActions, categorize, stepAt } from '../lib/network-timing.js';
+import { aggregateNetwork } from '../lib/report.js';
+
+// ============================================================
+// NETWORK TIMING PER STEP
+// ============================================================
+const ORG = 'https://example.my.salesforce.com';
+const auraMessage = (...descriptors) => new URLSearchParams({
+  message: JSON.stringify({ actions: descriptors.map((descriptor, id) => ({ id, descriptor })) }),
+  'aura.context': '{}',
+}).toString();
+
+test.describe('auraActions', () => {
+  test('names every action of a batched request from its message', () => {
+    const postData = auraMessage(
+      'serviceComponent://ui.force.components.controllers.recordGlobalValueProvider.RecordGvpController/ACTION$getRecord',
+      'serviceComponent://ui.omnichannel.components.OmniChannelController/ACTION$setPresence',
+    );
+    expect(auraActions(`${ORG}/aura?r=12`, postData)).toEqual(['RecordGvpController.getRecord', 'OmniChannelController.setPresence']);
+  });
+
+  test('falls back to the action keys of the query string', () => {
+    expect(auraActions(`${ORG}/aura?r=3&ui-voice.VoiceCall.accept=1&aura.token=x`, 'not a form')).toEqual(['ui-voice.VoiceCall.accept']);
+    expect(auraActions(`${ORG}/aura?r=3`, null)).toEqual(['(unparsed)']);
+  });
+
+  test('keeps a descriptor it cannot shorten', () => {
+    expect(shortActionName('apex://MyController')).toBe('apex://MyController');
+  });
+});
+
+test.describe('categorize', () => {
+  const gatewayHost = 'gateway.webrtc.example.com';
+
+  test('tells Aura, gateway, voice and other requests apart', () => {
+    expect(categorize(`${ORG}/aura?r=1`)).toBe('aura');
+    expect(categorize(`${ORG}/s/sfsites/aura/foo`)).toBe('aura');
+    expect(categorize(`https://${gatewayHost}/session`, { gatewayHost })).toBe('gateway');
+    expect(categorize('https://scrt.example.com/api/events')).toBe('voice');
+    expect(categorize(`${ORG}/services/data/v60.0/telephony/calls`)).toBe('voice');
+    expect(categorize(`${ORG}/resource/1700000000/logo.png`)).toBe('other');
+  });
+
+  test('only has a gateway category when the gateway host is known', () => {
+    expect(categorize(`https://${gatewayHost}/session`)).toBe('other');
+  });
+});
+
+test.describe('stepAt', () => {
+  const step = (name, start, end) => ({
+    step: name,
+    startTime: new Date(start).toISOString(),
+    endTime: new Date(end).toISOString(),
+    durationMs: end - start,
+  });
+  const records = [step('Login', 0, 10000), step('OmniChannelSetOnline', 12000, 20000), step('OpenUtilityPanel', 13000, 14000)];
+
+  test('picks the innermost step whose window holds the time', () => {
+    expect(stepAt(records, 5000).step).toBe('Login');
+    expect(stepAt(records, 13500).step).toBe('OpenUtilityPanel');
+    expect(stepAt(records, 15000).step).toBe('OmniChannelSetOnline');
+  });
+
+  test('is null between steps', () => {
+    expect(stepAt(records, 11000)).toBeNull();
+  });
+});
+
+test('aggregateNetwork sums server time per step and action, batched actions sharing the request', () => {
+  const request = (step, actions, serverMs, category = 'aura') => ({ step, category, actions, serverMs, durationMs: serverMs + 10, requestBytes: 100, responseBytes: 1000 });
+  const rows = aggregateNetwork([
+    request('OmniChannelSetOnline', ['OmniChannelController.setPresence', 'RecordGvpController.getRecord'], 300),
+    request('OmniChannelSetOnline', ['OmniChannelController.setPresence'], 100),
+    request('OmniChannelSetOnline', ['/logo.png'], 50, 'other'),
+  ]);
+  expect(rows.map((r) => [r.action, r.count, r.serverMsTotal, r.serverMsMax])).toEqual([
+    ['OmniChannelController.setPresence', 2, 400, 300],
+    ['RecordGvpController.getRecord', 1, 300, 300],
+  ]);
+  expect(rows[0]).toMatchObject({ serverMsP50: 100, durationMsAvg: 210, responseBytesAvg: 1000 });
+});
@@ -0,0 +1,55 @@
+import { test, expect } from '@playwright/test';
+import { percentile, summarizeDurations, aggregateSteps, toCsv } from '../lib/report.js';
+
+// ============================================================
+// AGGREGATED EPT REPORT
+// ============================================================
+const sample = (step, durationMs, { outcome = 'passed', username = 'agent1', pid = 1, retries } = {}) =>
+  ({ step, durationMs, outcome, username, pid, ...(retries && { retries }) });
+
+test.describe('percentile', () => {
+  test('uses the nearest rank of an ascending array', () => {
+    const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+    expect(percentile(sorted, 50)).toBe(50);
+    expect(percentile(sorted, 90)).toBe(90);
+    expect(percentile(sorted, 95)).toBe(100);
+    expect(percentile(sorted, 0)).toBe(10);
+  });
+
+  test('is null without samples', () => {
+    expect(percentile([], 50)).toBeNull();
+    expect(summarizeDurations([])).toMatchObject({ min: null, avg: null, max: null, p95: null });
+  });
+});
+
+test.describe('aggregateSteps', () => {
+  test('computes duration statistics from passed samples only', () => {
+    const [row] = aggregateSteps([
+      sample('Login', 100),
+      sample('Login', 300),
+      sample('Login', 9000, { outcome: 'failed' }),
+    ]);
+    expect(row).toMatchObject({ step: 'Login', count: 3, passed: 2, failed: 1, min: 100, avg: 200, max: 300, p50: 100 });
+    expect(row.successRate).toBeCloseTo(2 / 3);
+  });
+
+  test('counts users per username and process, and sums retries', () => {
+    const [row] = aggregateSteps([
+      sample('AcceptingIncomingCallTHB', 1000, { username: 'agent1', pid: 1, retries: 2 }),
+      sample('AcceptingIncomingCallTHB', 1200, { username: 'agent1', pid: 2 }),
+      sample('AcceptingIncomingCallTHB', 1100, { username: 'agent2', pid: 3, retries: 1 }),
+    ]);
+    expect(row.users).toBe(3);
+    expect(row.retries).toBe(3);
+  });
+
+  test('keeps one row per step', () => {
+    const rows = aggregateSteps([sample('Login', 100), sample('OpenWebRTCGateway', 200), sample('Login', 150)]);
+    expect(rows.map((row) => row.step)).toEqual(['Login', 'OpenWebRTCGateway']);
+  });
+});
+
+test('toCsv formats rates as percentages and quotes commas', () => {
+  const csv = toCsv([{ step: 'Step, with comma', successRate: 0.5 }], ['step', 'successRate']);
+  expect(csv).toBe('step,successRate\n"Step, with comma",50.0%\n');
+});
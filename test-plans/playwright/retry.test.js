@@ -0,0 +1,90 @@
+import { test, expect } from '@playwright/test';
+import { rmSync } from 'fs';
+import { dirname } from 'path';
+import { withRetry, RetryRecorder, RETRIES_FILE } from '../lib/retry.js';
+import { getResultsPath } from '../lib/results.js';
+import { configureLogger, setLogContext } from '../lib/logger.js';
+
+// ============================================================
+// RETRY AND RECOVERY POLICIES
+// ============================================================
+const USERNAME = 'retry-test@example.com';
+const policy = { attempts: 3, backoffMs: 0, recover: [] };
+
+// Fails the first `failures` attempts
+const flaky = (failures) => {
+  const attempts = [];
+  const action = async (attempt) => {
+    attempts.push(attempt);
+    if (attempt <= failures) throw new Error(`attempt ${attempt} failed`);
+    return 'done';
+  };
+  return { action, attempts };
+};
+
+const fakeMetrics = () => ({ retries: [], countRetry(step) { this.retries.push(step); } });
+
+test.beforeAll(() => {
+  configureLogger({ level: 'error' });
+  setLogContext({ step: 'AcceptingIncomingCallTHB' });
+});
+
+test.afterAll(() => {
+  setLogContext({ step: null });
+  configureLogger({ level: 'info' });
+  rmSync(dirname(getResultsPath(RETRIES_FILE, USERNAME)), { recursive: true, force: true });
+});
+
+test('returns the first successful attempt and counts each retry on the current step', async () => {
+  const { action, attempts } = flaky(2);
+  const metrics = fakeMetrics();
+  const recorder = new RetryRecorder({ username: USERNAME, script: 'CCASVoiceCall.spec.js' });
+
+  expect(await withRetry('AcceptCall', action, { policy, recorder, metrics })).toBe('done');
+  expect(attempts).toEqual([1, 2, 3]);
+  expect(metrics.retries).toEqual(['AcceptingIncomingCallTHB', 'AcceptingIncomingCallTHB']);
+  expect(recorder.records.map((r) => [r.step, r.attempt, r.outcome, r.error])).toEqual([
+    ['AcceptingIncomingCallTHB', 1, 'retried', 'attempt 1 failed'],
+    ['AcceptingIncomingCallTHB', 2, 'retried', 'attempt 2 failed'],
+  ]);
+  expect(recorder.summarize()).toEqual({ AcceptCall: { retries: 2, exhausted: 0 } });
+});
+
+test('rethrows the last error once the attempts run out', async () => {
+  const { action, attempts } = flaky(5);
+  const metrics = fakeMetrics();
+  const recorder = new RetryRecorder({ username: USERNAME, script: 'CCASVoiceCall.spec.js' });
+
+  await expect(withRetry('AcceptCall', action, { policy, recorder, metrics })).rejects.toThrow('attempt 3 failed');
+  expect(attempts).toEqual([1, 2, 3]);
+  expect(metrics.retries).toHaveLength(2);
+  expect(recorder.summarize()).toEqual({ AcceptCall: { retries: 2, exhausted: 1 } });
+});
+
+test('runs the recovery actions between attempts and records their outcome', async () => {
+  const pressed = [];
+  const pageObject = {
+    page: { keyboard: { press: async (key) => pressed.push(key) } },
+    cssVisible: () => async () => false,
+    waitUntil: async (name, condition) => condition(),
+  };
+  const recorder = new RetryRecorder({ username: USERNAME, script: 'CCASVoiceCall.spec.js' });
+  const { action } = flaky(1);
+
+  await withRetry('CloseVoiceCallTab', action, { pageObject, policy: { ...policy, recover: ['dismissBackdrop'] }, recorder });
+  expect(pressed).toEqual(['Escape']);
+  expect(recorder.records[0].recoveries).toEqual([{ action: 'dismissBackdrop', outcome: 'done' }]);
+});
+
+test('keeps retrying when a recovery action fails', async () => {
+  const pageObject = { page: { keyboard: { press: async () => { throw new Error('page closed'); } } } };
+  const recorder = new RetryRecorder({ username: USERNAME, script: 'CCASVoiceCall.spec.js' });
+  const { action } = flaky(1);
+
+  expect(await withRetry('CloseVoiceCallTab', action, { pageObject, policy: { ...policy, recover: ['dismissBackdrop'] }, recorder })).toBe('done');
+  expect(recorder.records[0].recoveries).toEqual([{ action: 'dismissBackdrop', outcome: 'failed', error: 'page closed' }]);
+});
+
+test('needs a declared policy', async () => {
+  await expect(withRetry('ClickAnything', async () => 'done')).rejects.toThrow('No retry policy named ClickAnything');
+});
@@ -0,0 +1,87 @@
+import { test, expect } from '@playwright/test';
+import { validate, validateWorkload, argumentSchemas } from '../lib/schema.js';
+import { loadWorkload } from '../lib/workload.js';
+
+// ============================================================
+// WORKLOAD SCHEMA
+// ============================================================
+const workload = (args = {}) => ({
+  max_duration: 10,
+  tasks: [{ task_name: 'inbound', scripts: [{ script_name: 'CCASVoiceCall.spec.js', arguments: args }] }],
+});
+
+test.describe('validate', () => {
+  test('coerces strings to the declared number, integer or boolean', () => {
+    expect(validate({ type: 'integer' }, ' 10000 ')).toEqual({ value: 10000, errors: [] });
+    expect(validate({ type: 'number' }, '0.5')).toEqual({ value: 0.5, errors: [] });
+    for (const [text, flag] of [['true', true], ['Yes', true], ['1', true], ['on', true], ['false', false], ['no', false], ['0', false], ['OFF', false]]) {
+      expect(validate({ type: 'boolean' }, text).value).toBe(flag);
+    }
+  });
+
+  test('leaves values that do not convert and reports the type', () => {
+    expect(validate({ type: 'integer' }, '1.5', { path: 'defaultTimeout' }))
+      .toEqual({ value: '1.5', errors: [{ path: 'defaultTimeout', message: 'expected integer, got "1.5"' }] });
+    expect(validate({ type: 'boolean' }, 'maybe').errors).toEqual([{ path: '(root)', message: 'expected boolean, got "maybe"' }]);
+    expect(validate({ type: 'number' }, '').errors).toHaveLength(1);
+  });
+
+  test('checks enum, pattern, bounds and required keys', () => {
+    const schema = {
+      type: 'object',
+      required: ['server'],
+      properties: {
+        mode: { type: 'string', enum: ['PROD', 'PRODDEBUG'] },
+        server: { type: 'string', pattern: '^https?://' },
+        percent: { type: 'number', minimum: 0, maximum: 100 },
+      },
+    };
+    expect(validate(schema, { mode: 'DEBUG', percent: '120' }).errors).toEqual([
+      { path: 'server', message: 'is required' },
+      { path: 'mode', message: 'must be one of PROD, PRODDEBUG, got "DEBUG"' },
+      { path: 'percent', message: 'must be <= 100, got 120' },
+    ]);
+  });
+
+  test('follows local $ref and reports paths into arrays', () => {
+    const schema = {
+      definitions: { port: { type: 'integer', minimum: 1 } },
+      type: 'array',
+      items: { $ref: '#/definitions/port' },
+    };
+    expect(validate(schema, ['80', '0'])).toEqual({ value: [80, 0], errors: [{ path: '[1]', message: 'must be >= 1, got 0' }] });
+  });
+});
+
+test.describe('validateWorkload', () => {
+  test('returns the workload with its arguments coerced', () => {
+    const value = validateWorkload(workload({ defaultTimeout: '10000', screenshot: 'true', 'sla.Login.p95': '8000' }));
+    expect(value.tasks[0].scripts[0].arguments).toEqual({ defaultTimeout: 10000, screenshot: true, 'sla.Login.p95': 8000 });
+  });
+
+  test('lists every bad and unknown key in one error', () => {
+    let message = '';
+    try {
+      validateWorkload(workload({ defaultTimeout: 'soon', queueNmae: 'Queue', server: 'example.com' }), 'workload file test.json');
+    } catch (error) {
+      message = error.message;
+    }
+    expect(message).toContain('Invalid workload file test.json (3 problem(s)');
+    expect(message).toContain('tasks[0].scripts[0].arguments.defaultTimeout: expected integer, got "soon"');
+    expect(message).toContain('tasks[0].scripts[0].arguments.queueNmae: unknown key');
+    expect(message).toContain('tasks[0].scripts[0].arguments.server: must match ^https?://');
+  });
+
+  test('accepts the workload files in workload-metadata', () => {
+    for (const file of ['CCASVoiceCall.json', 'CCASOutboundCall.json', 'CCASBlended.json']) {
+      expect(() => loadWorkload(`workload-metadata/${file}`)).not.toThrow();
+    }
+  });
+});
+
+test('argumentSchemas gives every argument a type', () => {
+  const { properties } = argumentSchemas();
+  for (const [key, schema] of Object.entries(properties)) {
+    expect(schema.type || schema.$ref, key).toBeTruthy();
+  }
+});
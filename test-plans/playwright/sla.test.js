@@ -0,0 +1,96 @@
+import { test, expect } from '@playwright/test';
+import { parseSla, checkSample, evaluateSla, SlaBreachError } from '../lib/sla.js';
+import { evaluateWorkloadSla } from '../lib/report.js';
+
+// ============================================================
+// SLA BUDGETS
+// ============================================================
+test.describe('parseSla', () => {
+  test('reads nested and flat budgets as numbers', () => {
+    const sla = parseSla({
+      sla: { Login: { p95: 8000 } },
+      'sla.AcceptingIncomingCallTHB.max': '4000',
+    }, {});
+    expect(sla).toEqual({ Login: { p95: 8000 }, AcceptingIncomingCallTHB: { max: 4000 } });
+  });
+
+  test('lets flat keys override nested ones and the environment override both', () => {
+    const sla = parseSla(
+      { sla: { Login: { p95: 8000, max: 20000 } }, 'sla.Login.p95': '9000' },
+      { 'sla.Login.max': '15000', PATH: '/usr/bin' },
+    );
+    expect(sla).toEqual({ Login: { p95: 9000, max: 15000 } });
+  });
+
+  test('rejects unknown stats and budgets that are not numbers', () => {
+    expect(() => parseSla({ 'sla.Login.p42': '100' }, {})).toThrow('Unknown SLA stat "p42"');
+    expect(() => parseSla({ 'sla.Login.max': 'fast' }, {})).toThrow('must be a number');
+    expect(() => parseSla({ 'sla.Login.max': '' }, {})).toThrow('must be a number');
+  });
+});
+
+test.describe('checkSample', () => {
+  const sla = { Login: { max: 5000, p95: 3000 } };
+
+  test('reports a sample over the step max', () => {
+    expect(checkSample(sla, 'Login', 6000)).toEqual({ step: 'Login', stat: 'max', budget: 5000, actual: 6000 });
+  });
+
+  test('ignores samples within budget and steps without a max', () => {
+    expect(checkSample(sla, 'Login', 5000)).toBeNull();
+    expect(checkSample(sla, 'OpenWebRTCGateway', 60000)).toBeNull();
+  });
+});
+
+test.describe('evaluateSla', () => {
+  test('treats durations as upper bounds and successRate as a lower bound', () => {
+    const sla = { Login: { p95: 3000, successRate: 0.95 } };
+    const results = evaluateSla(sla, [{ step: 'Login', p95: 2500, successRate: 0.9 }]);
+    expect(results).toEqual([
+      { step: 'Login', stat: 'p95', budget: 3000, actual: 2500, passed: true },
+      { step: 'Login', stat: 'successRate', budget: 0.95, actual: 0.9, passed: false },
+    ]);
+  });
+
+  test('fails every budget of a step with no samples', () => {
+    const results = evaluateSla({ AcceptingIncomingCallTHB: { max: 4000 } }, []);
+    expect(results).toEqual([{ step: 'AcceptingIncomingCallTHB', stat: 'max', budget: 4000, actual: null, passed: false }]);
+  });
+});
+
+test('SlaBreachError lists every breach', () => {
+  const error = new SlaBreachError([
+    { step: 'Login', stat: 'max', budget: 5000, actual: 6000 },
+    { step: 'AcceptingIncomingCallTHB', stat: 'p95', budget: 4000, actual: null },
+  ]);
+  expect(error.message).toBe('SLA breached: Login max 6000 breaches budget 5000; AcceptingIncomingCallTHB p95 n/a breaches budget 4000');
+  expect(error.breaches).toHaveLength(2);
+});
+
+test.describe('evaluateWorkloadSla', () => {
+  const script = (name, args) => ({ script_name: name, arguments: args });
+  const records = [
+    { step: 'Login', script: 'CCASVoiceCall.spec.js', outcome: 'passed', durationMs: 9000, username: 'a', pid: 1 },
+    { step: 'Login', script: 'CCASOutboundCall.spec.js', outcome: 'passed', durationMs: 3000, username: 'b', pid: 2 },
+  ];
+
+  test('checks each script\'s budgets against that script\'s samples only', () => {
+    const workload = { tasks: [
+      { task_name: 'inbound', scripts: [script('CCASVoiceCall.spec.js', { 'sla.Login.max': '10000' })] },
+      { task_name: 'outbound', scripts: [script('CCASOutboundCall.spec.js', { 'sla.Login.max': '4000' })] },
+    ] };
+    expect(evaluateWorkloadSla(workload, records)).toEqual([
+      { script: 'CCASVoiceCall.spec.js', step: 'Login', stat: 'max', budget: 10000, actual: 9000, passed: true },
+      { script: 'CCASOutboundCall.spec.js', step: 'Login', stat: 'max', budget: 4000, actual: 3000, passed: true },
+    ]);
+  });
+
+  test('fails on a script given two values for one budget', () => {
+    const workload = { tasks: [
+      { task_name: 'a', scripts: [script('CCASVoiceCall.spec.js', { 'sla.Login.max': '10000' })] },
+      { task_name: 'b', scripts: [script('CCASVoiceCall.spec.js', { 'sla.Login.max': '5000' })] },
+    ] };
+    expect(() => evaluateWorkloadSla(workload, records))
+      .toThrow('Conflicting SLA budgets for CCASVoiceCall.spec.js: sla.Login.max is both 10000 and 5000');
+  });
+});
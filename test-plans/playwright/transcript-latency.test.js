@@ -0,0 +1,82 @@
+import { test, expect } from '@playwright/test';
+import { resolve } from 'path';
+import { TranscriptMonitor, readWavDurationMs } from '../lib/transcript-latency.js';
+import { validateTranscript } from '../lib/transcript.js';
+import { REPO_ROOT } from '../lib/results.js';
+
+// ============================================================
+// TRANSCRIPT LATENCY (SPEECH-TO-TEXT EPT)
+// ============================================================
+const utterances = [
+  { speaker: 'agent', text: 'Thanks for calling, how can I help?', startMs: 1000 },
+  { speaker: 'customer', text: 'My internet is down.', startMs: 500 },
+  { speaker: 'customer', text: 'It has been down since yesterday.', startMs: 4000 },
+];
+
+// A monitor whose bubbles were seen at the given times
+const monitor = (bubbles, { matchThreshold = 0.8, metrics = null } = {}) => {
+  const transcripts = new TranscriptMonitor({ metrics, expected: { utterances }, matchThreshold });
+  bubbles.forEach((bubble, index) => transcripts.bubbles.set(`b${index}`, { ...bubble, updatedAt: bubble.firstSeenAt }));
+  return transcripts;
+};
+
+const bubbles = [
+  { speaker: 'agent', text: 'thanks for calling how can i help', firstSeenAt: 12500 },
+  { speaker: 'customer', text: 'my internet is done', firstSeenAt: 21200 },
+  { speaker: 'agent', text: 'my internet is down', firstSeenAt: 21300 },
+];
+
+test.describe('matchUtterances', () => {
+  test('pairs each utterance with a bubble of its speaker, or none below the threshold', () => {
+    const matches = monitor(bubbles).matchUtterances();
+    expect(matches.map(({ message }) => message && message.firstSeenAt)).toEqual([12500, 21200, null]);
+  });
+
+  test('pairs the same bubbles as transcript validation', () => {
+    const transcripts = monitor(bubbles);
+    const validation = validateTranscript(utterances, transcripts.messages);
+    expect(transcripts.matchUtterances().map(({ message }) => (message ? message.text : null)))
+      .toEqual(validation.utterances.map((u) => (u.matched ? u.actual : null)));
+  });
+
+  test('uses the threshold it was given', () => {
+    const matches = monitor(bubbles, { matchThreshold: 0.95 }).matchUtterances();
+    expect(matches.map(({ message }) => message && message.firstSeenAt)).toEqual([12500, null, null]);
+  });
+});
+
+test.describe('recordLatencies', () => {
+  test('measures agent utterances from the capture and customer ones from the connect', () => {
+    const records = [];
+    const transcripts = monitor(bubbles, { metrics: { record: (step, fields) => records.push({ step, ...fields }) } });
+    transcripts.captureStartedAt = 10000;
+    transcripts.connectedAt = 20000;
+
+    const { utterances: results } = transcripts.recordLatencies();
+    expect(results.map((r) => [r.speaker, r.latencyMs])).toEqual([['agent', 1500], ['customer', 700], ['customer', null]]);
+    expect(records.map((r) => [r.step, r.outcome || 'passed'])).toEqual([
+      ['TranscriptLatencyAgent', 'passed'],
+      ['TranscriptLatencyCustomer', 'passed'],
+      ['TranscriptLatencyCustomer', 'failed'],
+    ]);
+    expect(records[0]).toMatchObject({ startTime: 11000, endTime: 12500 });
+  });
+
+  test('counts agent utterances from the latest loop of the WAV', () => {
+    const transcripts = monitor([]);
+    transcripts.captureStartedAt = 0;
+    transcripts.wavDurationMs = 30000;
+    expect(transcripts.utteranceStart(utterances[0], 62000)).toBe(61000);
+    expect(transcripts.utteranceStart(utterances[0], 500)).toBeNull();
+  });
+
+  test('records nothing without utterance offsets', () => {
+    const transcripts = new TranscriptMonitor({ expected: { utterances: [{ speaker: 'agent', text: 'Hello' }] } });
+    expect(transcripts.recordLatencies()).toBeNull();
+  });
+});
+
+test('readWavDurationMs reads the length from the WAV header', () => {
+  expect(readWavDurationMs(resolve(REPO_ROOT, 'test-plans/test-asset/outbound_call_audio.wav'))).toBeGreaterThan(0);
+  expect(readWavDurationMs(resolve(REPO_ROOT, 'test-plans/test-asset/missing.wav'))).toBeNull();
+});
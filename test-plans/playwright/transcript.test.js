@@ -0,0 +1,65 @@
+import { test, expect } from '@playwright/test';
+import { normalizeWords, wordErrorRate, validateTranscript } from '../lib/transcript.js';
+
+// ============================================================
+// TRANSCRIPT VALIDATION
+// ============================================================
+test.describe('wordErrorRate', () => {
+  test('ignores case and punctuation', () => {
+    expect(normalizeWords('Thanks for calling, how can I help?')).toEqual(['thanks', 'for', 'calling', 'how', 'can', 'i', 'help']);
+    expect(wordErrorRate('Thanks for calling!', 'thanks for calling')).toBe(0);
+  });
+
+  test('counts substitutions, deletions and insertions against the reference length', () => {
+    expect(wordErrorRate('my internet is down', 'my internet is done')).toBe(0.25);
+    expect(wordErrorRate('my internet is down', 'my internet down')).toBe(0.25);
+    expect(wordErrorRate('my internet is down', 'my home internet is down')).toBe(0.25);
+    expect(wordErrorRate('my internet is down', '')).toBe(1);
+  });
+
+  test('is 0 for an empty reference only when nothing was heard', () => {
+    expect(wordErrorRate('', '')).toBe(0);
+    expect(wordErrorRate('', 'hello')).toBe(1);
+  });
+});
+
+test.describe('validateTranscript', () => {
+  const expected = [
+    { speaker: 'agent', text: 'Thanks for calling, how can I help?' },
+    { speaker: 'customer', text: 'My internet is down.' },
+  ];
+  const messages = [
+    { speaker: 'agent', text: 'thanks for calling how can i help', timestamp: '10:00:01' },
+    { speaker: 'customer', text: 'my internet is done', timestamp: '10:00:04' },
+    { speaker: 'agent', text: 'one moment please', timestamp: '10:00:07' },
+  ];
+
+  test('matches each expected utterance to the most similar message of its speaker', () => {
+    const result = validateTranscript(expected, messages);
+    expect(result).toMatchObject({ expectedCount: 2, messageCount: 3, matchedCount: 2, matchRate: 1 });
+    expect(result.utterances[0]).toMatchObject({ actual: 'thanks for calling how can i help', timestamp: '10:00:01', similarity: 1, wer: 0, matched: true });
+    expect(result.utterances[1]).toMatchObject({ actual: 'my internet is done', wer: 0.25, matched: true });
+  });
+
+  test('computes WER per speaker over the whole conversation', () => {
+    const { wer, bySpeaker } = validateTranscript(expected, messages);
+    // three extra agent words, one substituted customer word
+    expect(bySpeaker.agent).toEqual({ wer: 0.429, referenceWords: 7 });
+    expect(bySpeaker.customer).toEqual({ wer: 0.25, referenceWords: 4 });
+    expect(wer).toBe(0.364);
+  });
+
+  test('does not match a message below the threshold or from another speaker', () => {
+    const result = validateTranscript(expected, [{ speaker: 'agent', text: 'my internet is down' }]);
+    expect(result.utterances[0].matched).toBe(false);
+    expect(result.utterances[1]).toMatchObject({ actual: null, similarity: 0, wer: 1, matched: false });
+    expect(result.matchRate).toBe(0);
+  });
+
+  test('uses each message for one utterance at most', () => {
+    const repeated = [{ text: 'please hold' }, { text: 'please hold' }];
+    const result = validateTranscript(repeated, [{ text: 'please hold' }]);
+    expect(result.utterances.map((u) => u.matched)).toEqual([true, false]);
+    expect(result.bySpeaker.any).toEqual({ wer: 0.5, referenceWords: 4 });
+  });
+});
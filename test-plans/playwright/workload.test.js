@@ -0,0 +1,73 @@
+import { test, expect } from '@playwright/test';
+import { allocateUsers, taskDurationMins, loadWorkload, planWorkload } from '../lib/workload.js';
+
+// ============================================================
+// WORKLOAD PLANNING
+// ============================================================
+const task = (overrides = {}) => ({
+  task_name: 'inbound',
+  users_count: 3,
+  ramp_up_interval_millis: 1000,
+  max_duration_in_mins: 5,
+  scripts: [
+    { script_name: 'CCASVoiceCall.spec.js', user_allocation_percent: 67, arguments: { queueName: 'Queue' } },
+    { script_name: 'CCASOutboundCall.spec.js', user_allocation_percent: 33 },
+  ],
+  ...overrides,
+});
+
+test.describe('allocateUsers', () => {
+  test('splits users by the largest remainder so the counts add up', () => {
+    expect(allocateUsers(10, [{ user_allocation_percent: 50 }, { user_allocation_percent: 30 }, { user_allocation_percent: 20 }])).toEqual([5, 3, 2]);
+    expect(allocateUsers(3, [{ user_allocation_percent: 1 }, { user_allocation_percent: 1 }])).toEqual([2, 1]);
+    expect(allocateUsers(1, [{ user_allocation_percent: 10 }, { user_allocation_percent: 90 }])).toEqual([0, 1]);
+  });
+
+  test('gives scripts without a percentage an equal share', () => {
+    expect(allocateUsers(4, [{}, {}])).toEqual([2, 2]);
+  });
+
+  test('rejects percentages that add up to 0', () => {
+    expect(() => allocateUsers(2, [{ user_allocation_percent: 0 }])).toThrow('must add up to more than 0');
+  });
+});
+
+test('taskDurationMins caps the task duration by the workload max_duration', () => {
+  expect(taskDurationMins({ max_duration: 10 }, { max_duration_in_mins: 5 })).toBe(5);
+  expect(taskDurationMins({ max_duration: 3 }, { max_duration_in_mins: 5 })).toBe(3);
+  expect(taskDurationMins({}, { max_duration_in_mins: 5 })).toBe(5);
+  expect(taskDurationMins({}, {})).toBe(Infinity);
+});
+
+test.describe('planWorkload', () => {
+  test('interleaves scripts and staggers starts by the ramp-up interval', () => {
+    const users = planWorkload({ max_duration: 10, tasks: [task()] });
+    expect(users.map((u) => [u.vu, u.script, u.startDelayMs])).toEqual([
+      [1, 'CCASVoiceCall.spec.js', 0],
+      [2, 'CCASOutboundCall.spec.js', 1000],
+      [3, 'CCASVoiceCall.spec.js', 2000],
+    ]);
+    expect(users[0]).toMatchObject({ task: 'inbound', durationMs: 300000, arguments: { queueName: 'Queue' }, credentials: null });
+    expect(users[0].scriptPath).toMatch(/test-plans[\\/]playwright[\\/]CCASVoiceCall\.spec\.js$/);
+  });
+
+  test('applies overrides to scale a rehearsal down', () => {
+    const workload = { tasks: [task(), task({ task_name: 'outbound', users_count: 1 })] };
+    const users = planWorkload(workload, { task: 'outbound', users: 2, durationMins: 1, rampUpMs: 0 });
+    expect(users.map((u) => [u.task, u.startDelayMs, u.durationMs])).toEqual([['outbound', 0, 60000], ['outbound', 0, 60000]]);
+  });
+
+  test('gives each user of a task the next users_file row', () => {
+    const { workload } = loadWorkload('workload-metadata/CCASBlended.json');
+    const users = planWorkload(workload, { task: 'CCASBlended-inbound' });
+    expect(users).toHaveLength(4);
+    expect(new Set(users.map((u) => u.credentials.username)).size).toBe(4);
+    expect(users[3].startDelayMs).toBe(3000);
+  });
+
+  test('fails on an unknown task, a task without a duration or too few users_file rows', () => {
+    expect(() => planWorkload({ tasks: [task()] }, { task: 'missing' })).toThrow('No task named "missing" (tasks: inbound)');
+    expect(() => planWorkload({ tasks: [task({ max_duration_in_mins: undefined })] })).toThrow('Task inbound has no max_duration_in_mins or max_duration');
+    expect(() => planWorkload({ tasks: [task({ users_file: '00DXE000000CjCj_outbound.csv' })] })).toThrow('needs 3 users but users_file 00DXE000000CjCj_outbound.csv has 2 row(s)');
+  });
+});
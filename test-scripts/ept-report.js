@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// ============================================================
+// EPT REPORT
+// ============================================================
+// Aggregates every virtual user's ept.jsonl into one percentile report.
+//
+//   node test-scripts/ept-report.js [--results <dir>] [--out <dir>] [--workload <file>]
+//                                   [--console-levels error,warning] [--console-match <regex>]
+//                                   [--run <id>|all]
+//
+// --results defaults to /results (./results for local runs); --out defaults
+// to the results directory. Writes ept-report.html and ept-report.csv, plus
+// call-quality-report.csv when the flows recorded MOS scores and
+// wait-report.csv for the condition-based waits (time waited against cap) and
+// network-report.csv for the Aura/voice/gateway requests of each step, and
+// console-report.csv for the browser console messages, page errors and failed
+// requests (every level unless --console-levels / --console-match narrow it).
+// failure-report.csv counts the run's failures per class of the failure
+// taxonomy, platform and script problems apart (the latest run in the results
+// folder unless --run names another, or all), and retry-report.csv the
+// retries taken under the declared retry policies.
+// With --workload, the sla.* budgets of every script in that workload file are
+// checked against that script's samples and the process exits with code 2
+// when any budget is breached.
+import { parseArgs } from 'util';
+import { resolve } from 'path';
+import { writeFileSync, mkdirSync } from 'fs';
+import { getResultsRoot } from '../test-plans/lib/results.js';
+import { loadWorkload } from '../test-plans/lib/workload.js';
+import {
+  collectEptRecords,
+  collectCallQualityRecords,
+  collectWaitRecords,
+  collectRetryRecords,
+  collectNetworkRecords,
+  collectConsoleRecords,
+  collectFailureRecords,
+  filterConsole,
+  aggregateSteps,
+  evaluateWorkloadSla,
+  aggregateCallQuality,
+  aggregateWaits,
+  aggregateRetries,
+  aggregateNetwork,
+  aggregateConsole,
+  aggregateConsoleSeverity,
+  aggregateFailures,
+  selectRunFailures,
+  failuresByOrigin,
+  toCsv,
+  toHtml,
+  CALL_QUALITY_COLUMNS,
+  WAIT_COLUMNS,
+  RETRY_COLUMNS,
+  NETWORK_COLUMNS,
+  CONSOLE_COLUMNS,
+  FAILURE_COLUMNS,
+} from '../test-plans/lib/report.js';
+import { formatBreach } from '../test-plans/lib/sla.js';
+
+const { values } = parseArgs({
+  options: {
+    results: { type: 'string' },
+    out: { type: 'string' },
+    workload: { type: 'string' },
+    'console-levels': { type: 'string' },
+    'console-match': { type: 'string' },
+    run: { type: 'string' },
+  },
+});
+
+const resultsRoot = resolve(values.results || getResultsRoot());
+const outDir = resolve(values.out || resultsRoot);
+
+const records = collectEptRecords(resultsRoot);
+if (!records.length) {
+  console.error(`❌ No EPT records found under ${resultsRoot}`);
+  process.exit(1);
+}
+
+const rows = aggregateSteps(records);
+const qualityRows = aggregateCallQuality(collectCallQualityRecords(resultsRoot));
+const waitRows = aggregateWaits(collectWaitRecords(resultsRoot));
+const networkRows = aggregateNetwork(collectNetworkRecords(resultsRoot));
+const consoleRecords = filterConsole(collectConsoleRecords(resultsRoot), {
+  levels: values['console-levels'] ? values['console-levels'].split(',').map((level) => level.trim()) : null,
+  match: values['console-match'] || null,
+});
+const consoleSeverityRows = aggregateConsoleSeverity(consoleRecords);
+const consoleRows = aggregateConsole(consoleRecords);
+const { run: failureRun, records: failureRecords } = selectRunFailures(collectFailureRecords(resultsRoot), values.run ?? null);
+const failureRows = aggregateFailures(failureRecords);
+const retryRows = aggregateRetries(collectRetryRecords(resultsRoot));
+
+let slaResults = [];
+if (values.workload) {
+  const { workload } = loadWorkload(resolve(values.workload));
+  slaResults = evaluateWorkloadSla(workload, records);
+}
+
+mkdirSync(outDir, { recursive: true });
+const csvPath = resolve(outDir, 'ept-report.csv');
+const htmlPath = resolve(outDir, 'ept-report.html');
+writeFileSync(csvPath, toCsv(rows));
+writeFileSync(htmlPath, toHtml(rows, { resultsRoot, recordCount: records.length, slaResults, qualityRows, waitRows, networkRows, consoleSeverityRows, consoleRows, failureRows, failureRun, retryRows }));
+
+console.table(rows);
+console.log(`✅ EPT report written: ${htmlPath}`);
+console.log(`✅ EPT report written: ${csvPath}`);
+
+if (qualityRows.length) {
+  const qualityCsvPath = resolve(outDir, 'call-quality-report.csv');
+  writeFileSync(qualityCsvPath, toCsv(qualityRows, CALL_QUALITY_COLUMNS));
+  console.table(qualityRows);
+  console.log(`✅ Call quality report written: ${qualityCsvPath}`);
+}
+
+if (waitRows.length) {
+  const waitCsvPath = resolve(outDir, 'wait-report.csv');
+  writeFileSync(waitCsvPath, toCsv(waitRows, WAIT_COLUMNS));
+  console.table(waitRows);
+  console.log(`✅ Wait report written: ${waitCsvPath}`);
+}
+
+if (networkRows.length) {
+  const networkCsvPath = resolve(outDir, 'network-report.csv');
+  writeFileSync(networkCsvPath, toCsv(networkRows, NETWORK_COLUMNS));
+  console.log(`✅ Network report written: ${networkCsvPath} (${networkRows.length} step/action rows)`);
+}
+
+if (failureRecords.length) {
+  const failureCsvPath = resolve(outDir, 'failure-report.csv');
+  writeFileSync(failureCsvPath, toCsv(failureRows, FAILURE_COLUMNS));
+  console.table(failureRows.filter((row) => row.count > 0));
+  const totals = failuresByOrigin(failureRows);
+  console.log(`✅ Failure report written: ${failureCsvPath}${failureRun ? ` for ${failureRun}` : ''} (${Object.entries(totals).filter(([, count]) => count).map(([origin, count]) => `${origin}: ${count}`).join(', ')})`);
+}
+
+if (retryRows.length) {
+  const retryCsvPath = resolve(outDir, 'retry-report.csv');
+  writeFileSync(retryCsvPath, toCsv(retryRows, RETRY_COLUMNS));
+  console.table(retryRows);
+  console.log(`✅ Retry report written: ${retryCsvPath}`);
+}
+
+if (consoleRows.length) {
+  const consoleCsvPath = resolve(outDir, 'console-report.csv');
+  writeFileSync(consoleCsvPath, toCsv(consoleRows, CONSOLE_COLUMNS));
+  console.table(consoleSeverityRows);
+  console.log(`✅ Browser console report written: ${consoleCsvPath} (${consoleRecords.length} entries, ${consoleRows.length} distinct messages)`);
+}
+
+const breaches = slaResults.filter((result) => !result.passed);
+if (breaches.length) {
+  breaches.forEach((breach) => console.error(`❌ SLA breach: ${breach.script} ${formatBreach(breach)}`));
+  process.exit(2);
+} else if (slaResults.length) {
+  console.log(`✅ All ${slaResults.length} SLA budgets met`);
+}
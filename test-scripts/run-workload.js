@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// ============================================================
+// LOCAL WORKLOAD RUNNER
+// ============================================================
+// Runs a workload-metadata file on this machine the way the load harness
+// does: users_count virtual users per task, split across scripts by
+// user_allocation_percent, started ramp_up_interval_millis apart, each one
+// re-running its script until the task's max duration is up.
+//
+//   node test-scripts/run-workload.js --workload <file> [--users <n>]
+//     [--duration <mins>] [--ramp-up <ms>] [--task <name>] [--once]
+//
+// --users, --duration and --ramp-up override every task, to rehearse a
+// smaller run. --once runs a single iteration per user. Every user is its
+// own Playwright process with that user's users_file row and the script
+// arguments in its environment, exactly as FPSx passes them. Output goes to
+// <results>/workload-run-<timestamp>/vu-<n>.log; the per-user results folders
+// are the usual ones, so `npm run report` aggregates the run.
+import { spawn } from 'child_process';
+import { closeSync, mkdirSync, openSync, writeFileSync } from 'fs';
+import { basename, resolve } from 'path';
+import { parseArgs } from 'util';
+import { REPO_ROOT, RUN_ID_ENV, getResultsRoot } from '../test-plans/lib/results.js';
+import { loadWorkload, planWorkload } from '../test-plans/lib/workload.js';
+import { delay } from '../test-plans/lib/browser.js';
+
+const PLAYWRIGHT_CLI = resolve(REPO_ROOT, 'node_modules', '@playwright', 'test', 'cli.js');
+const KILL_GRACE_MS = 10000;
+
+const { values } = parseArgs({
+  options: {
+    workload: { type: 'string' },
+    users: { type: 'string' },
+    duration: { type: 'string' },
+    'ramp-up': { type: 'string' },
+    task: { type: 'string' },
+    once: { type: 'boolean', default: false },
+  },
+});
+
+if (!values.workload) {
+  console.error('❌ --workload <file> is required');
+  process.exit(1);
+}
+
+const optionalNumber = (value) => (value === undefined ? undefined : Number(value));
+const { filePath, workload } = loadWorkload(values.workload);
+const users = planWorkload(workload, {
+  users: optionalNumber(values.users),
+  durationMins: optionalNumber(values.duration),
+  rampUpMs: optionalNumber(values['ramp-up']),
+  task: values.task,
+});
+
+const runDir = resolve(getResultsRoot(), `workload-run-${Date.now()}`);
+mkdirSync(runDir, { recursive: true });
+const running = new Set();
+let stopping = false;
+
+// Script arguments become environment variables, as under FPSx; the spec
+// also reads its task's entry (and nested objects such as "sla") from the
+// same workload file through WORKLOAD_FILE/WORKLOAD_TASK. Every user shares
+// the run id, so the report counts this run's failures on their own. A soak run is told
+// how long it has left, so it stops taking calls before it is stopped.
+function environmentFor(vu, deadline) {
+  const env = { ...process.env, WORKLOAD_FILE: filePath, WORKLOAD_TASK: vu.task, [RUN_ID_ENV]: basename(runDir) };
+  for (const [key, value] of Object.entries(vu.arguments)) {
+    if (value !== null && typeof value !== 'object') env[key] = String(value);
+  }
+  if (vu.arguments.soakMode) {
+    const remainingMins = (deadline - Date.now()) / 60000;
+    env.soakDurationMins = String(Math.min(vu.arguments.soakDurationMins ?? remainingMins, remainingMins));
+  }
+  if (vu.credentials) {
+    env.username = vu.credentials.username;
+    env.password = vu.credentials.password;
+  }
+  return env;
+}
+
+// One Playwright run of the user's script; resolves to passed, failed or stopped
+function runIteration(vu, deadline) {
+  return new Promise((resolvePromise) => {
+    const log = openSync(resolve(runDir, `vu-${vu.vu}.log`), 'a');
+    const child = spawn(process.execPath, [PLAYWRIGHT_CLI, 'test', vu.scriptPath, '--workers=1', '--reporter=line'], {
+      cwd: REPO_ROOT,
+      env: environmentFor(vu, deadline),
+      stdio: ['ignore', log, log],
+      detached: true, // own process group, so the browser goes down with it
+    });
+    running.add(child);
+    let stopped = false;
+
+    const stop = () => {
+      stopped = true;
+      try {
+        process.kill(-child.pid, 'SIGTERM');
+        setTimeout(() => {
+          try {
+            process.kill(-child.pid, 'SIGKILL');
+          } catch (error) {
+            // Already exited
+          }
+        }, KILL_GRACE_MS).unref();
+      } catch (error) {
+        // Already exited
+      }
+    };
+    child.stop = stop;
+    const timer = setTimeout(stop, Math.max(deadline - Date.now(), 0));
+
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      running.delete(child);
+      closeSync(log);
+      resolvePromise(stopped ? 'stopped' : code === 0 ? 'passed' : 'failed');
+    });
+  });
+}
+
+async function runVirtualUser(vu, startedAt, results) {
+  const deadline = startedAt + vu.durationMs;
+  await delay(vu.startDelayMs);
+  let iteration = 0;
+  while (!stopping && Date.now() < deadline) {
+    iteration++;
+    console.log(`▶️  vu-${vu.vu} ${vu.script} iteration ${iteration} (${vu.credentials ? vu.credentials.username : 'workload username'})`);
+    const outcome = await runIteration(vu, deadline);
+    results.push({ vu: vu.vu, task: vu.task, script: vu.script, iteration, outcome });
+    console.log(`${outcome === 'passed' ? '✅' : outcome === 'stopped' ? '⏹️ ' : '❌'} vu-${vu.vu} ${vu.script} iteration ${iteration}: ${outcome}`);
+    // A soak run takes calls for the whole duration in one iteration
+    if (values.once || vu.arguments.soakMode) break;
+  }
+}
+
+function summarize(results) {
+  const byScript = {};
+  for (const result of results) {
+    const row = byScript[result.script] || { script: result.script, passed: 0, failed: 0, stopped: 0 };
+    row[result.outcome]++;
+    byScript[result.script] = row;
+  }
+  return Object.values(byScript);
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    console.log(`\n⏹️  ${signal}: stopping ${running.size} running user(s)`);
+    stopping = true;
+    running.forEach((child) => child.stop());
+  });
+}
+
+const startedAt = Date.now();
+console.log(`🚀 ${users.length} virtual user(s) from ${filePath}`);
+console.log(`   logs: ${runDir}`);
+const results = [];
+await Promise.all(users.map((vu) => runVirtualUser(vu, startedAt, results)));
+
+const summary = summarize(results);
+writeFileSync(resolve(runDir, 'summary.json'), JSON.stringify({
+  workload: filePath,
+  startedAt: new Date(startedAt).toISOString(),
+  durationMs: Date.now() - startedAt,
+  users: users.length,
+  scripts: summary,
+  iterations: results,
+}, null, 2));
+
+console.table(summary);
+console.log(`✅ Workload run finished; aggregate it with: npm run report -- --workload ${values.workload}`);
+process.exit(results.some((r) => r.outcome === 'failed') ? 1 : 0);
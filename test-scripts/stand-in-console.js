@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+// ============================================================
+// STAND-IN LIGHTNING SERVICE CONSOLE
+// ============================================================
+// A local HTTP server with fixture pages carrying the same selectors as the
+// real org (test-plans/lib/accessors.js), so the flows can run end to end
+// with no network:
+//
+//   node test-scripts/stand-in-console.js [--port 8787] [--call-delay <ms>]
+//     [--message-interval <ms>] [--transcript <file>] [--recording-modal]
+//     [--customer-audio <wav>]
+//
+// Then point the flow at it:
+//
+//   server=http://localhost:8787/ webrtcGatewayUrl=http://localhost:8787/gateway \
+//     npx playwright test test-plans/playwright/CCASVoiceCall.spec.js
+//
+// Serves the login form, the console (app launcher, Omni-Channel utility with
+// status dropdown, an "Inbox (1)" work item routed --call-delay ms after the
+// agent goes Available, the telephony dial pad, call controls and VC- tabs),
+// and a certificate-warning page for the WebRTC gateway. Calls come with a
+// scripted transcript; --transcript takes an expected-utterances file
+// ({ "utterances": [{ "speaker", "text" }] }).
+//
+// Without --customer-audio the call is UI only. With it, a second headless
+// Chrome opens /customer with that WAV as its fake microphone and becomes the
+// customer leg: when the agent accepts (inbound) or presses Call (outbound) a
+// real peer connection is set up between the two, signaled through this
+// server, so media flows both ways.
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { fakeAudioBrowserOptions, resolveAudioFilePath } from '../test-plans/lib/browser.js';
+
+const FIXTURES = resolve(dirname(fileURLToPath(import.meta.url)), 'stand-in-console');
+
+const DEFAULT_TRANSCRIPT = [
+  { speaker: 'customer', text: 'Hi, I am calling about my last order.' },
+  { speaker: 'agent', text: 'Thanks for calling, I can help with that.' },
+  { speaker: 'customer', text: 'It was supposed to arrive yesterday.' },
+  { speaker: 'agent', text: 'Let me check the delivery status for you.' },
+];
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    host: { type: 'string', default: '127.0.0.1' },
+    'call-delay': { type: 'string', default: '3000' },
+    'message-interval': { type: 'string', default: '3000' },
+    transcript: { type: 'string' },
+    'recording-modal': { type: 'boolean', default: false },
+    'customer-audio': { type: 'string' },
+  },
+});
+
+const options = {
+  callDelayMs: Number(values['call-delay']),
+  messageIntervalMs: Number(values['message-interval']),
+  recordingModal: values['recording-modal'],
+  media: Boolean(values['customer-audio']),
+  transcript: values.transcript
+    ? JSON.parse(readFileSync(resolve(values.transcript), 'utf8')).utterances
+    : DEFAULT_TRANSCRIPT,
+};
+
+const fixture = (name) => readFileSync(resolve(FIXTURES, name), 'utf8');
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(body);
+};
+
+// Only same-site paths, so the login form cannot be used as an open redirect
+const safeStartUrl = (value) => (value && value.startsWith('/') && !value.startsWith('//') ? value : '/one/one.app');
+
+const readBody = (req) => new Promise((resolvePromise, reject) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => resolvePromise(body));
+  req.on('error', reject);
+});
+
+// ---- Signaling: agent messages go to every customer page, customer
+// messages to the console page with the same session id ----
+const signalStreams = new Set();
+
+function openSignalStream(req, res, url) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+  res.write(': connected\n\n');
+  const stream = { res, role: url.searchParams.get('role'), session: url.searchParams.get('session') };
+  signalStreams.add(stream);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    signalStreams.delete(stream);
+  });
+}
+
+function relaySignal(message) {
+  const targets = [...signalStreams].filter((stream) => (message.from === 'agent'
+    ? stream.role === 'customer'
+    : stream.role === 'agent' && stream.session === message.session));
+  if (!targets.length) {
+    console.warn(`⚠️ No ${message.from === 'agent' ? 'customer' : 'agent'} listening for "${message.type}" (session ${message.session})`);
+  }
+  targets.forEach((stream) => stream.res.write(`data: ${JSON.stringify(message)}\n\n`));
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'POST' && url.pathname === '/login') {
+    const form = new URLSearchParams(await readBody(req));
+    console.log(`👤 Login: ${form.get('username') || '(no username)'}`);
+    send(res, 302, '', { Location: safeStartUrl(form.get('startURL')) });
+    return;
+  }
+  if (req.method === 'POST' && url.pathname === '/signal') {
+    relaySignal(JSON.parse(await readBody(req)));
+    send(res, 204, '');
+    return;
+  }
+
+  switch (url.pathname) {
+    case '/one/one.app':
+      send(res, 200, fixture('console.html').replace('/*STAND_IN_OPTIONS*/{}', JSON.stringify(options)));
+      return;
+    case '/customer':
+      send(res, 200, fixture('customer.html'));
+      return;
+    case '/media.js':
+      send(res, 200, fixture('media.js'), { 'Content-Type': 'text/javascript; charset=utf-8' });
+      return;
+    case '/signal/events':
+      openSignalStream(req, res, url);
+      return;
+    case '/gateway':
+    case '/gateway/':
+      send(res, 200, fixture('gateway.html'));
+      return;
+    case '/gateway/accepted':
+      send(res, 200, '<!DOCTYPE html><title>WebRTC Gateway</title><p>Gateway certificate accepted.</p>');
+      return;
+    case '/favicon.ico':
+      send(res, 204, '');
+      return;
+    default:
+      // Any other path is the login page, as on a real org without a session
+      send(res, 200, fixture('login.html').replace('__START_URL__', escapeHtml(safeStartUrl(url.searchParams.get('startURL')))));
+  }
+}
+
+// The customer leg: its own Chrome, so its fake microphone plays a different WAV
+async function startCustomerLeg(url, audioFile) {
+  const { chromium } = await import('@playwright/test');
+  const browserOptions = fakeAudioBrowserOptions(resolveAudioFilePath(audioFile));
+  const browser = await chromium.launch({
+    channel: browserOptions.channel,
+    headless: browserOptions.headless,
+    args: browserOptions.launchOptions.args,
+  });
+  const context = await browser.newContext({ permissions: browserOptions.permissions });
+  const page = await context.newPage();
+  page.on('console', (msg) => console.log(`[customer] ${msg.type()}: ${msg.text()}`));
+  await page.goto(url);
+  console.log(`✅ Customer leg ready (${audioFile})`);
+  return browser;
+}
+
+const server = createServer((req, res) => {
+  handle(req, res).catch((error) => {
+    console.error(`❌ ${req.method} ${req.url}: ${error.message}`);
+    if (!res.headersSent) send(res, 500, '');
+  });
+});
+let customerBrowser = null;
+
+server.listen(Number(values.port), values.host, async () => {
+  const { port } = server.address();
+  console.log(`✅ Stand-in console listening on http://localhost:${port}/`);
+  console.log(`   server=http://localhost:${port}/ webrtcGatewayUrl=http://localhost:${port}/gateway`);
+  if (values['customer-audio']) {
+    try {
+      customerBrowser = await startCustomerLeg(`http://localhost:${port}/customer`, values['customer-audio']);
+    } catch (error) {
+      console.error(`❌ Could not start the customer leg: ${error.message}`);
+      process.exit(1);
+    }
+  }
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    if (customerBrowser) await customerBrowser.close();
+    signalStreams.forEach((stream) => stream.res.end());
+    server.close(() => process.exit(0));
+  });
+}
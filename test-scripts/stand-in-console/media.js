@@ -0,0 +1,55 @@
+// ============================================================
+// STAND-IN SIGNALING (shared by console.html and customer.html)
+// ============================================================
+// Messages go up with POST /signal and come down over a Server-Sent Events
+// stream (/signal/events). Every console page has its own session id, so one
+// customer page can serve many agents at once. SDP is exchanged only after
+// ICE gathering completes: both peers are local, so there is no trickle ICE.
+window.StandInSignal = {
+  connect(role, session, onMessage) {
+    const query = new URLSearchParams({ role, session: session || '' });
+    const events = new EventSource(`/signal/events?${query}`);
+    events.onmessage = (event) => onMessage(JSON.parse(event.data));
+    return events;
+  },
+
+  send(message) {
+    return fetch('/signal', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+    });
+  },
+
+  async localDescription(pc, description) {
+    await pc.setLocalDescription(description);
+    if (pc.iceGatheringState !== 'complete') {
+      await new Promise((resolve) => {
+        const done = () => {
+          if (pc.iceGatheringState === 'complete') {
+            pc.removeEventListener('icegatheringstatechange', done);
+            resolve();
+          }
+        };
+        pc.addEventListener('icegatheringstatechange', done);
+      });
+    }
+    return { type: pc.localDescription.type, sdp: pc.localDescription.sdp };
+  },
+
+  // Microphone (the fake-capture WAV) on a new peer connection
+  async createPeer(onRemoteStream) {
+    const pc = new RTCPeerConnection();
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+    stream.getTracks().forEach((track) => pc.addTrack(track, stream));
+    pc.addEventListener('track', (event) => onRemoteStream(event.streams[0] || new MediaStream([event.track])));
+    pc.__standInStream = stream;
+    return pc;
+  },
+
+  close(pc) {
+    if (!pc) return;
+    pc.__standInStream.getTracks().forEach((track) => track.stop());
+    pc.close();
+  },
+};